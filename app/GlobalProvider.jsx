@@ -6,6 +6,7 @@ import { ToastContainer } from 'react-toastify';
 import { AuthProvider } from '@/context/AuthContext';
 import { CartProvider } from '@/context/CartContext';
 import { OrderProvider } from '@/context/OrderContext';
+import { WishlistProvider } from '@/context/WishlistContext';
 
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -13,13 +14,16 @@ export function GlobalProvider({ children }) {
   return (
     <>
       <ToastContainer position="bottom-right" />
-      <AuthProvider>
-        <CartProvider>
-          <OrderProvider>
-            <SessionProvider>{children}</SessionProvider>
-          </OrderProvider>
-        </CartProvider>
-      </AuthProvider>
+      {/* La session englobe les contextes : le panier en dépend */}
+      <SessionProvider>
+        <AuthProvider>
+          <CartProvider>
+            <WishlistProvider>
+              <OrderProvider>{children}</OrderProvider>
+            </WishlistProvider>
+          </CartProvider>
+        </AuthProvider>
+      </SessionProvider>
     </>
   );
 }
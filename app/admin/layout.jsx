@@ -0,0 +1,52 @@
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { getAuthenticatedUser } from '@/lib/auth';
+
+export default async function AdminLayout({ children }) {
+  const headersList = await headers();
+  const user = await getAuthenticatedUser(headersList);
+
+  if (!user) {
+    return redirect(
+      `/login?callbackUrl=${encodeURIComponent('/admin/orders')}`,
+    );
+  }
+
+  // Le rôle est de nouveau vérifié en base par chaque route /api/admin
+  if (user.role !== 'admin') {
+    return redirect('/');
+  }
+
+  return (
+    <>
+      <section className="flex flex-row py-3 sm:py-7 bg-blue-100 print:hidden">
+        <div className="container max-w-[var(--breakpoint-xl)] mx-auto px-4">
+          <h2 className="font-medium text-2xl text-slate-800">
+            ADMINISTRATION
+          </h2>
+          <nav className="flex gap-4 mt-2 text-sm">
+            <Link
+              href="/admin/orders"
+              className="text-blue-700 hover:underline"
+            >
+              Commandes
+            </Link>
+            <Link
+              href="/admin/messages"
+              className="text-blue-700 hover:underline"
+            >
+              Messages
+            </Link>
+          </nav>
+        </div>
+      </section>
+
+      <section className="py-6 md:py-10">
+        <div className="container max-w-[var(--breakpoint-xl)] mx-auto px-4">
+          {children}
+        </div>
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,94 @@
+import dynamic from 'next/dynamic';
+import { cookies } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { captureException } from '@/monitoring/sentry';
+
+import logger from '@/utils/logger';
+import { getCookieName } from '@/helpers/helpers';
+import { fetchAdminApi } from '@/lib/adminApi';
+
+const AdminMessages = dynamic(
+  () => import('@/components/admin/AdminMessages'),
+  {
+    loading: () => <AdminMessagesSkeleton />,
+    ssr: true,
+  },
+);
+
+const AdminMessagesSkeleton = () => (
+  <div className="animate-pulse p-4">
+    <div className="h-12 bg-gray-200 rounded-md mb-6"></div>
+    <div className="h-64 bg-gray-200 rounded-md"></div>
+  </div>
+);
+
+const FILTER_KEYS = ['q', 'status', 'priority', 'read', 'page'];
+
+export const metadata = {
+  title: 'Messages clients | Buy It Now',
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+};
+
+/**
+ * Boîte de réception du support (administrateurs)
+ */
+const AdminMessagesPage = async ({ searchParams }) => {
+  const params = await searchParams;
+
+  try {
+    const nextCookies = await cookies();
+    const authToken = nextCookies.get(getCookieName());
+
+    if (!authToken) {
+      return redirect('/login?callbackUrl=/admin/messages');
+    }
+
+    const query = new URLSearchParams();
+    FILTER_KEYS.forEach((key) => {
+      if (params?.[key]) query.set(key, params[key]);
+    });
+
+    const inbox = await fetchAdminApi(
+      `/api/admin/messages?${query.toString()}`,
+      authToken,
+    );
+
+    return (
+      <AdminMessages
+        inbox={inbox}
+        filters={{
+          q: params?.q || '',
+          status: params?.status || '',
+          priority: params?.priority || '',
+          read: params?.read || '',
+        }}
+      />
+    );
+  } catch (error) {
+    // Laisser passer les redirections Next.js
+    if (error?.digest?.startsWith('NEXT_REDIRECT')) throw error;
+
+    logger.error('Error loading admin messages page', {
+      error: error.message,
+      action: 'admin_messages_page_error',
+    });
+
+    captureException(error, {
+      tags: { component: 'AdminMessagesPage', action: 'page_load' },
+    });
+
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+        <p className="text-red-600">
+          Impossible de charger les messages. Veuillez réessayer.
+        </p>
+      </div>
+    );
+  }
+};
+
+export default AdminMessagesPage;
@@ -0,0 +1,94 @@
+import dynamic from 'next/dynamic';
+import { cookies } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { captureException } from '@/monitoring/sentry';
+
+import logger from '@/utils/logger';
+import { getCookieName } from '@/helpers/helpers';
+import { fetchAdminApi } from '@/lib/adminApi';
+
+const AdminOrders = dynamic(() => import('@/components/admin/AdminOrders'), {
+  loading: () => <AdminOrdersSkeleton />,
+  ssr: true,
+});
+
+const AdminOrdersSkeleton = () => (
+  <div className="animate-pulse p-4">
+    <div className="grid md:grid-cols-4 gap-4 mb-6">
+      {[...Array(4)].map((_, i) => (
+        <div key={i} className="h-24 bg-gray-200 rounded-md"></div>
+      ))}
+    </div>
+    <div className="h-48 bg-gray-200 rounded-md mb-6"></div>
+    <div className="h-64 bg-gray-200 rounded-md"></div>
+  </div>
+);
+
+export const metadata = {
+  title: 'Gestion des commandes | Buy It Now',
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+};
+
+/**
+ * Tableau de bord des commandes (administrateurs)
+ * Statistiques issues de Order.getStats et liste filtrable des commandes
+ */
+const AdminOrdersPage = async ({ searchParams }) => {
+  const params = await searchParams;
+
+  try {
+    const nextCookies = await cookies();
+    const authToken = nextCookies.get(getCookieName());
+
+    if (!authToken) {
+      return redirect('/login?callbackUrl=/admin/orders');
+    }
+
+    const query = new URLSearchParams();
+    ['orderStatus', 'paymentStatus', 'page'].forEach((key) => {
+      if (params?.[key]) query.set(key, params[key]);
+    });
+
+    const [stats, orders] = await Promise.all([
+      fetchAdminApi('/api/admin/orders/stats', authToken),
+      fetchAdminApi(`/api/admin/orders?${query.toString()}`, authToken),
+    ]);
+
+    return (
+      <AdminOrders
+        stats={stats}
+        orders={orders}
+        filters={{
+          orderStatus: params?.orderStatus || '',
+          paymentStatus: params?.paymentStatus || '',
+        }}
+      />
+    );
+  } catch (error) {
+    // Laisser passer les redirections Next.js
+    if (error?.digest?.startsWith('NEXT_REDIRECT')) throw error;
+
+    logger.error('Error loading admin orders page', {
+      error: error.message,
+      action: 'admin_orders_page_error',
+    });
+
+    captureException(error, {
+      tags: { component: 'AdminOrdersPage', action: 'page_load' },
+    });
+
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+        <p className="text-red-600">
+          Impossible de charger les commandes. Veuillez réessayer.
+        </p>
+      </div>
+    );
+  }
+};
+
+export default AdminOrdersPage;
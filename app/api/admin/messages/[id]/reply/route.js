@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import Contact from '@/backend/models/contact';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { enqueueEmail } from '@/backend/utils/emailQueue';
+import { buildContactReplyEmail } from '@/backend/utils/supportEmails';
+import { validateContactReply } from '@/helpers/validation/schemas/contact';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * POST /api/admin/messages/[id]/reply
+ * Répond à un message de contact : la réponse est enregistrée sur le
+ * message puis envoyée au client dans le même fil de discussion
+ */
+export async function POST(req, { params }) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid message ID format' },
+        { status: 400 },
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    const validation = await validateContactReply(body);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const contact = await Contact.findById(id).populate('from', 'name email');
+    if (!contact) {
+      return NextResponse.json(
+        { success: false, message: 'Message not found' },
+        { status: 404 },
+      );
+    }
+
+    if (!contact.from?.email) {
+      return NextResponse.json(
+        { success: false, message: 'Message author no longer exists' },
+        { status: 409 },
+      );
+    }
+
+    const reply = await contact.addReply(validation.data.message, req.user._id);
+
+    await enqueueEmail(buildContactReplyEmail(contact, reply, contact.from), {
+      category: 'contact-reply',
+    });
+
+    console.log('Contact message answered by admin:', contact._id.toString());
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Reply sent successfully',
+        data: {
+          reply: {
+            _id: reply._id,
+            message: reply.message,
+            createdAt: reply.createdAt,
+          },
+          status: contact.status,
+        },
+      },
+      { status: 201 },
+    );
+  } catch (error) {
+    console.error('Admin message reply error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 },
+      );
+    }
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/messages/[id]/reply/POST' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,142 @@
+import { NextResponse } from 'next/server';
+import Contact from '@/backend/models/contact';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { validateContactUpdate } from '@/helpers/validation/schemas/contact';
+import { captureException } from '@/monitoring/sentry';
+
+const isValidId = (id) => id && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * GET /api/admin/messages/[id]
+ * Détail d'un message avec ses réponses ; l'ouverture le marque comme lu
+ */
+export async function GET(req, { params }) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { id } = await params;
+    if (!isValidId(id)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid message ID format' },
+        { status: 400 },
+      );
+    }
+
+    const contact = await Contact.findById(id)
+      .populate('from', 'name email phone')
+      .populate('replies.author', 'name');
+
+    if (!contact) {
+      return NextResponse.json(
+        { success: false, message: 'Message not found' },
+        { status: 404 },
+      );
+    }
+
+    await contact.markAsRead();
+
+    return NextResponse.json(
+      { success: true, data: { message: contact.toJSON() } },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin message fetch error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/messages/[id]/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
+
+/**
+ * PATCH /api/admin/messages/[id]
+ * Met à jour le statut, la priorité ou l'état de lecture d'un message
+ */
+export async function PATCH(req, { params }) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { id } = await params;
+    if (!isValidId(id)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid message ID format' },
+        { status: 400 },
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    const validation = await validateContactUpdate(body);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const contact = await Contact.findById(id);
+    if (!contact) {
+      return NextResponse.json(
+        { success: false, message: 'Message not found' },
+        { status: 404 },
+      );
+    }
+
+    contact.set(validation.data);
+    await contact.save();
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Message updated successfully',
+        data: {
+          message: {
+            _id: contact._id,
+            status: contact.status,
+            priority: contact.priority,
+            read: contact.read,
+            updatedAt: contact.updatedAt,
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin message update error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 },
+      );
+    }
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/messages/[id]/PATCH' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import Contact from '@/backend/models/contact';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { validateAdminContactFilters } from '@/helpers/validation/schemas/contact';
+import { captureException } from '@/monitoring/sentry';
+
+const RES_PER_PAGE = 20;
+
+/**
+ * GET /api/admin/messages
+ * Boîte de réception du support : recherche (q), filtres status, priority
+ * et read, pagination. Les messages prioritaires et récents d'abord.
+ */
+export async function GET(req) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { searchParams } = req.nextUrl;
+    const validation = await validateAdminContactFilters({
+      q: searchParams.get('q') || null,
+      status: searchParams.get('status') || null,
+      priority: searchParams.get('priority') || null,
+      read: searchParams.get('read') || null,
+      page: searchParams.get('page') || 1,
+    });
+
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid filters',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const { q, status, priority, read, page } = validation.data;
+
+    const { contacts, pagination } = await Contact.search(q, {
+      page,
+      limit: RES_PER_PAGE,
+      status: status || undefined,
+      priority,
+      isRead: read ?? undefined,
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          messages: contacts.map((contact) => ({
+            ...contact,
+            metadata: undefined,
+            repliesCount: contact.replies?.length || 0,
+          })),
+          count: pagination.total,
+          totalPages: pagination.pages,
+          currentPage: pagination.page,
+          perPage: pagination.limit,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin messages fetch error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/messages/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
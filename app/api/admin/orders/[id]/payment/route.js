@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import Order from '@/backend/models/order';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { notifyOrderEvent } from '@/backend/utils/orderEmails';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * POST /api/admin/orders/[id]/payment
+ * Confirme la réception du paiement d'une commande
+ */
+export async function POST(req, { params }) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid order ID format' },
+        { status: 400 },
+      );
+    }
+
+    const order = await Order.confirmPayment(id);
+
+    console.log('Order payment confirmed by admin:', order.orderNumber);
+
+    await notifyOrderEvent('paid', order);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Payment confirmed successfully',
+        data: {
+          order: {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            orderStatus: order.orderStatus,
+            paymentStatus: order.paymentStatus,
+            paidAt: order.paidAt,
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin order payment error:', error.message);
+
+    if (error.code === 'ORDER_NOT_FOUND') {
+      return NextResponse.json(
+        { success: false, message: 'Order not found' },
+        { status: 404 },
+      );
+    }
+
+    if (error.code === 'INVALID_TRANSITION') {
+      return NextResponse.json(
+        { success: false, code: 'INVALID_TRANSITION', message: error.message },
+        { status: 409 },
+      );
+    }
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/orders/[id]/payment/POST' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,130 @@
+import { NextResponse } from 'next/server';
+import Order from '@/backend/models/order';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { notifyOrderEvent } from '@/backend/utils/orderEmails';
+import { validateOrderStatusUpdate } from '@/helpers/validation/schemas/order';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * PATCH /api/admin/orders/[id]
+ * Fait avancer une commande dans son cycle de vie
+ * (Processing → Shipped → Delivered, ou Cancelled avec cancelReason)
+ */
+export async function PATCH(req, { params }) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid order ID format' },
+        { status: 400 },
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    const validation = await validateOrderStatusUpdate(body);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const { orderStatus, cancelReason } = validation.data;
+
+    let order = await Order.findById(id);
+    if (!order) {
+      return NextResponse.json(
+        { success: false, message: 'Order not found' },
+        { status: 404 },
+      );
+    }
+
+    if (!order.canTransitionTo(orderStatus)) {
+      return NextResponse.json(
+        {
+          success: false,
+          code: 'INVALID_TRANSITION',
+          message: `Cannot change order status from ${order.orderStatus} to ${orderStatus}`,
+        },
+        { status: 409 },
+      );
+    }
+
+    if (orderStatus === 'Cancelled') {
+      // Annulation et remise en stock dans une même transaction
+      order = await Order.cancelOrder(id, { reason: cancelReason });
+    } else {
+      // save() déclenche les hooks qui renseignent deliveredAt
+      order.orderStatus = orderStatus;
+      await order.save();
+    }
+
+    console.log('Order status updated by admin:', {
+      orderNumber: order.orderNumber,
+      orderStatus,
+    });
+
+    await notifyOrderEvent(orderStatus.toLowerCase(), order);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Order status updated successfully',
+        data: {
+          order: {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            orderStatus: order.orderStatus,
+            paymentStatus: order.paymentStatus,
+            cancelReason: order.cancelReason,
+            deliveredAt: order.deliveredAt,
+            cancelledAt: order.cancelledAt,
+            updatedAt: order.updatedAt,
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin order update error:', error.message);
+
+    if (error.code === 'INVALID_TRANSITION') {
+      return NextResponse.json(
+        { success: false, code: 'INVALID_TRANSITION', message: error.message },
+        { status: 409 },
+      );
+    }
+
+    if (error.name === 'ValidationError') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 },
+      );
+    }
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/orders/[id]/PATCH' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
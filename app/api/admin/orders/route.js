@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import Order from '@/backend/models/order';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { validateAdminOrderFilters } from '@/helpers/validation/schemas/order';
+import { captureException } from '@/monitoring/sentry';
+
+const RES_PER_PAGE = 20;
+
+/**
+ * GET /api/admin/orders
+ * Liste paginée des commandes, filtrable par orderStatus et paymentStatus
+ */
+export async function GET(req) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { searchParams } = req.nextUrl;
+    const validation = await validateAdminOrderFilters({
+      orderStatus: searchParams.get('orderStatus') || null,
+      paymentStatus: searchParams.get('paymentStatus') || null,
+      page: searchParams.get('page') || 1,
+    });
+
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid filters',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const { orderStatus, paymentStatus, page } = validation.data;
+    const filters = {};
+    if (orderStatus) filters.orderStatus = orderStatus;
+    if (paymentStatus) filters.paymentStatus = paymentStatus;
+
+    const [count, orders] = await Promise.all([
+      Order.countDocuments(filters),
+      Order.findRecent(RES_PER_PAGE, filters, page),
+    ]);
+
+    const totalPages = Math.ceil(count / RES_PER_PAGE);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          orders,
+          count,
+          totalPages,
+          currentPage: page,
+          perPage: RES_PER_PAGE,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin orders fetch error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/orders/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import Order from '@/backend/models/order';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * GET /api/admin/orders/stats
+ * Statistiques globales : répartition par statut, chiffre d'affaires et
+ * série journalière des 30 derniers jours
+ */
+export async function GET(req) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const stats = await Order.getStats();
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          status: stats?.status || [],
+          payment: stats?.payment || [],
+          revenue: stats?.revenue?.[0]?.total || 0,
+          daily: stats?.daily || [],
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin order stats error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/orders/stats/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,179 @@
+import { NextResponse } from 'next/server';
+import Product from '@/backend/models/product';
+import Category from '@/backend/models/category';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { setStock } from '@/backend/utils/inventory';
+import { notifyBackInStock } from '@/backend/utils/stockAlerts';
+import { validateProductUpdate } from '@/helpers/validation/schemas/product';
+import { captureException } from '@/monitoring/sentry';
+
+const invalidIdResponse = () =>
+  NextResponse.json(
+    { success: false, message: 'Invalid product ID format' },
+    { status: 400 },
+  );
+
+const notFoundResponse = () =>
+  NextResponse.json(
+    { success: false, message: 'Product not found' },
+    { status: 404 },
+  );
+
+/**
+ * PUT /api/admin/products/[id]
+ * Mise à jour partielle d'un produit (administrateurs uniquement)
+ */
+export async function PUT(req, { params }) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return invalidIdResponse();
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    const validation = await validateProductUpdate(body);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    if (validation.data.category) {
+      const categoryExists = await Category.exists({
+        _id: validation.data.category,
+      });
+      if (!categoryExists) {
+        return NextResponse.json(
+          { success: false, message: 'Category not found' },
+          { status: 404 },
+        );
+      }
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return notFoundResponse();
+    }
+
+    const wasUnavailable = product.stock < 1 || !product.isActive;
+
+    // save() plutôt que findByIdAndUpdate pour déclencher les hooks
+    // (slug, updatedAt) ; le stock passe par le service d'inventaire
+    const { stock, ...fields } = validation.data;
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) product.set(key, value);
+    });
+    await product.save();
+
+    if (stock !== undefined) {
+      product.stock = await setStock(product._id, stock);
+    }
+
+    // Retour en stock (ou réactivation) : prévenir les abonnés
+    if (wasUnavailable && product.isActive && product.stock > 0) {
+      await notifyBackInStock([product._id]);
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Product updated successfully',
+        data: { product },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin product update error:', error.message);
+
+    if (error.code === 11000) {
+      return NextResponse.json(
+        { success: false, message: 'A product with this name already exists' },
+        { status: 409 },
+      );
+    }
+
+    if (error.name === 'ValidationError') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 },
+      );
+    }
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/products/[id]/PUT' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
+
+/**
+ * DELETE /api/admin/products/[id]
+ * Suppression logique : le produit est désactivé (isActive = false) afin de
+ * conserver les références dans les commandes existantes
+ */
+export async function DELETE(req, { params }) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return invalidIdResponse();
+    }
+
+    const product = await Product.findByIdAndUpdate(
+      id,
+      { isActive: false, updatedAt: Date.now() },
+      { new: true },
+    )
+      .select('_id name isActive')
+      .lean();
+
+    if (!product) {
+      return notFoundResponse();
+    }
+
+    console.log('Product deactivated by admin:', id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Product deactivated successfully',
+        data: { product },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Admin product delete error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/products/[id]/DELETE' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
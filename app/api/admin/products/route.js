@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import Product from '@/backend/models/product';
+import Category from '@/backend/models/category';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { validateProductWrite } from '@/helpers/validation/schemas/product';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * POST /api/admin/products
+ * Création d'un produit (administrateurs uniquement)
+ */
+export async function POST(req) {
+  try {
+    // Vérifier le rôle (connecte aussi la base)
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    // Parser les données
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    // Valider avec Yup
+    const validation = await validateProductWrite(body);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    // Vérifier que la catégorie existe
+    const categoryExists = await Category.exists({
+      _id: validation.data.category,
+    });
+    if (!categoryExists) {
+      return NextResponse.json(
+        { success: false, message: 'Category not found' },
+        { status: 404 },
+      );
+    }
+
+    const product = await Product.create(validation.data);
+
+    console.log('Product created by admin:', product._id.toString());
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Product created successfully',
+        data: { product },
+      },
+      { status: 201 },
+    );
+  } catch (error) {
+    console.error('Admin product create error:', error.message);
+
+    // Slug en double (nom déjà utilisé)
+    if (error.code === 11000) {
+      return NextResponse.json(
+        { success: false, message: 'A product with this name already exists' },
+        { status: 409 },
+      );
+    }
+
+    if (error.name === 'ValidationError') {
+      return NextResponse.json(
+        { success: false, message: error.message },
+        { status: 400 },
+      );
+    }
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/products/POST' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
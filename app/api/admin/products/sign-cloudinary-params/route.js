@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import cloudinary from 'cloudinary';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+
+cloudinary.config({
+  cloud_name: process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.NEXT_PUBLIC_CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+  secure: true,
+});
+
+/**
+ * POST /api/admin/products/sign-cloudinary-params
+ * Signe les paramètres d'upload des images produit (administrateurs uniquement)
+ */
+export async function POST(req) {
+  const denied = await authorizeRoles(req, 'admin');
+  if (denied) return denied;
+
+  let paramsToSign;
+  try {
+    ({ paramsToSign } = await req.json());
+  } catch {
+    return NextResponse.json(
+      { success: false, message: 'Invalid request body' },
+      { status: 400 },
+    );
+  }
+
+  if (!paramsToSign || typeof paramsToSign !== 'object') {
+    return NextResponse.json(
+      { success: false, message: 'paramsToSign is required' },
+      { status: 400 },
+    );
+  }
+
+  // Forcer le dossier des images produit
+  paramsToSign.folder = 'buyitnow/products';
+
+  const signature = cloudinary.utils.api_sign_request(
+    paramsToSign,
+    process.env.CLOUDINARY_API_SECRET,
+  );
+
+  return NextResponse.json({ signature });
+}
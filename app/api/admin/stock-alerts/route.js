@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import Product from '@/backend/models/product';
+import StockSubscription from '@/backend/models/stockSubscription';
+import { authorizeRoles } from '@/backend/middlewares/auth';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * GET /api/admin/stock-alerts
+ * Nombre d'abonnés aux alertes de retour en stock, par produit
+ * ?productId= restreint au produit indiqué
+ */
+export async function GET(req) {
+  try {
+    const denied = await authorizeRoles(req, 'admin');
+    if (denied) return denied;
+
+    const productId = req.nextUrl.searchParams.get('productId');
+    if (productId && !/^[0-9a-fA-F]{24}$/.test(productId)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid product ID format' },
+        { status: 400 },
+      );
+    }
+
+    const counts = await StockSubscription.countByProduct(
+      productId ? [productId] : null,
+    );
+
+    const products = await Product.find({
+      _id: { $in: counts.map(({ _id }) => _id) },
+    })
+      .select('name stock isActive')
+      .lean();
+    const productById = new Map(
+      products.map((product) => [product._id.toString(), product]),
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          products: counts.map(({ _id, subscribers }) => {
+            const product = productById.get(_id.toString());
+            return {
+              productId: _id,
+              productName: product?.name || null,
+              stock: product?.stock ?? null,
+              isActive: product?.isActive ?? false,
+              subscribers,
+            };
+          }),
+        },
+      },
+      { status: 200, headers: { 'Cache-Control': 'no-store' } },
+    );
+  } catch (error) {
+    console.error('Admin stock alerts error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'admin/stock-alerts/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
@@ -3,6 +3,7 @@ import CredentialsProvider from 'next-auth/providers/credentials';
 import bcryptjs from 'bcryptjs';
 import dbConnect from '@/backend/config/dbConnect';
 import User from '@/backend/models/user';
+import { canSignIn } from '@/backend/utils/emailVerification';
 import { validateLogin } from '@/helpers/validation/schemas/auth';
 import { captureException } from '@/monitoring/sentry';
 
@@ -61,7 +62,14 @@ const authOptions = {
             throw new Error('Invalid email or password');
           }
 
-          // 5. Retourner l'utilisateur sans le mot de passe
+          // 5. Vérification de l'email selon la politique configurée
+          // (UNVERIFIED_ACCOUNT_POLICY=block refuse la connexion)
+          if (!canSignIn(user)) {
+            console.log('Login refused: Email not verified');
+            throw new Error('Email not verified');
+          }
+
+          // 6. Retourner l'utilisateur sans le mot de passe
           return {
             _id: user._id.toString(),
             name: user.name,
@@ -77,6 +85,7 @@ const authOptions = {
           // Capturer seulement les vraies erreurs système (pas les erreurs de validation ou auth)
           if (
             !error.message.includes('Invalid email or password') &&
+            !error.message.includes('Email not verified') &&
             !error.message.includes('requis') &&
             !error.message.includes('caractères') &&
             !error.message.includes('Format')
@@ -0,0 +1,116 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import User from '@/backend/models/user';
+import { enqueueEmail } from '@/backend/utils/emailQueue';
+import { SITE_URL } from '@/backend/utils/mailer';
+import { escapeHtml } from '@/backend/utils/escape';
+import { validateForgotPassword } from '@/helpers/validation/schemas/auth';
+import { withAuthRateLimit } from '@/utils/rateLimit';
+import { captureException } from '@/monitoring/sentry';
+
+// Réponse identique que le compte existe ou non (anti-énumération)
+const GENERIC_RESPONSE = {
+  success: true,
+  message: 'If an account exists for this email, a reset link has been sent',
+};
+
+/**
+ * POST /api/auth/forgot-password
+ * Génère un token de réinitialisation et l'envoie par email
+ */
+async function forgotPassword(req) {
+  try {
+    // Connexion DB
+    await dbConnect();
+
+    // Parser les données
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    // Valider avec Yup
+    const validation = await validateForgotPassword({
+      email: body.email?.toLowerCase(),
+    });
+
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    // Rechercher l'utilisateur
+    const user = await User.findOne({ email: validation.data.email });
+
+    if (!user || !user.isActive) {
+      console.log('Password reset requested for unknown or inactive account');
+      return NextResponse.json(GENERIC_RESPONSE, { status: 200 });
+    }
+
+    // Générer le token (hashé en base, expire après 10 minutes)
+    const resetToken = await user.createPasswordResetToken();
+    const resetUrl = `${SITE_URL}/reset-password/${resetToken}`;
+
+    try {
+      await enqueueEmail(
+        {
+          to: user.email,
+          subject: 'Réinitialisation de votre mot de passe',
+          html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Réinitialisation du mot de passe</h2>
+            <p>Bonjour ${escapeHtml(user.name)},</p>
+            <p>Vous avez demandé à réinitialiser votre mot de passe. Cliquez sur le lien ci-dessous pour en choisir un nouveau :</p>
+            <p><a href="${resetUrl}">${resetUrl}</a></p>
+            <p>Ce lien expire dans 10 minutes et ne peut être utilisé qu'une seule fois.</p>
+            <hr style="border: 1px solid #eee;">
+            <p style="font-size: 12px; color: #666;">
+              Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.
+            </p>
+          </div>
+        `,
+          text: `Bonjour ${user.name},\n\nPour réinitialiser votre mot de passe, ouvrez ce lien (valable 10 minutes) :\n${resetUrl}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+        },
+        { category: 'password-reset' },
+      );
+    } catch (mailError) {
+      // Invalider le token si l'email n'a pas pu être mis en file
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      throw mailError;
+    }
+
+    console.log('Password reset email queued');
+
+    return NextResponse.json(GENERIC_RESPONSE, { status: 200 });
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'auth/forgot-password' },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: 'Could not send reset email. Please try again.',
+      },
+      { status: 500 },
+    );
+  }
+}
+
+export const POST = withAuthRateLimit(forgotPassword);
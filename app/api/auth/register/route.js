@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import dbConnect from '@/backend/config/dbConnect';
 import User from '@/backend/models/user';
+import { sendVerificationEmail } from '@/backend/utils/emailVerification';
 import { validateRegister } from '@/helpers/validation/schemas/auth';
 import { captureException } from '@/monitoring/sentry';
 
@@ -69,11 +70,26 @@ export async function POST(req) {
 
     console.log('User registered successfully:', user.email);
 
+    // Envoyer l'email de vérification (l'inscription reste valide en cas
+    // d'échec, l'utilisateur pourra redemander un lien)
+    let verificationEmailSent = true;
+    try {
+      const verificationToken = await user.createVerificationToken();
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      verificationEmailSent = false;
+      console.error('Verification email error:', mailError.message);
+      captureException(mailError, {
+        tags: { component: 'api', route: 'auth/register', action: 'verify' },
+      });
+    }
+
     // Réponse sans données sensibles
     return NextResponse.json(
       {
         success: true,
         message: 'Registration successful',
+        verificationEmailSent,
         data: {
           user: {
             _id: user._id,
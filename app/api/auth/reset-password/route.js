@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import crypto from 'crypto';
+import dbConnect from '@/backend/config/dbConnect';
+import User from '@/backend/models/user';
+import { validateResetPassword } from '@/helpers/validation/schemas/auth';
+import { withAuthRateLimit } from '@/utils/rateLimit';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * POST /api/auth/reset-password
+ * Définit un nouveau mot de passe à partir d'un token de réinitialisation
+ */
+async function resetPassword(req) {
+  try {
+    // Connexion DB
+    await dbConnect();
+
+    // Parser les données
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    // Valider avec Yup
+    const validation = await validateResetPassword({
+      token: body.token,
+      newPassword: body.newPassword,
+      confirmPassword: body.confirmPassword,
+    });
+
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    // Le token est stocké hashé en base
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(validation.data.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken: hashedToken,
+      resetPasswordExpire: { $gt: Date.now() },
+    }).select('+password');
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid or expired reset token' },
+        { status: 400 },
+      );
+    }
+
+    // Mettre à jour le mot de passe et invalider le token (usage unique)
+    user.password = validation.data.newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    console.log('Password reset successfully');
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Password reset successfully',
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Password reset error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (error.name !== 'ValidationError') {
+      captureException(error, {
+        tags: { component: 'api', route: 'auth/reset-password' },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message:
+          error.name === 'ValidationError'
+            ? 'Invalid password data'
+            : 'Something went wrong',
+      },
+      { status: error.name === 'ValidationError' ? 400 : 500 },
+    );
+  }
+}
+
+export const POST = withAuthRateLimit(resetPassword);
@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import crypto from 'crypto';
+import dbConnect from '@/backend/config/dbConnect';
+import User from '@/backend/models/user';
+import { validateEmailVerification } from '@/helpers/validation/schemas/user';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * GET /api/auth/verify/[token]
+ * Valide l'adresse email à partir du lien reçu, puis redirige vers /login
+ */
+export async function GET(req, { params }) {
+  const redirectTo = (status) =>
+    NextResponse.redirect(new URL(`/login?verified=${status}`, req.url));
+
+  try {
+    const { token } = await params;
+
+    const validation = await validateEmailVerification({ token });
+    if (!validation.isValid) {
+      return redirectTo('invalid');
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    // Le token est stocké hashé en base
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(validation.data.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      verificationToken: hashedToken,
+      verificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return redirectTo('invalid');
+    }
+
+    user.verified = true;
+    user.verificationToken = undefined;
+    user.verificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('Email verified successfully');
+
+    return redirectTo('success');
+  } catch (error) {
+    console.error('Email verification error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'auth/verify/[token]' },
+    });
+
+    return redirectTo('error');
+  }
+}
@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import { sendVerificationEmail } from '@/backend/utils/emailVerification';
+import { withAuthRateLimit } from '@/utils/rateLimit';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * POST /api/auth/verify
+ * Renvoie un lien de vérification à l'utilisateur connecté
+ */
+async function resendVerification(req) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email });
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    if (user.verified) {
+      return NextResponse.json(
+        { success: false, message: 'Email already verified' },
+        { status: 400 },
+      );
+    }
+
+    const verificationToken = await user.createVerificationToken();
+    await sendVerificationEmail(user, verificationToken);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Verification email sent',
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: { component: 'api', route: 'auth/verify/POST' },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Could not send verification email',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+}
+
+export const POST = withAuthRateLimit(resendVerification);
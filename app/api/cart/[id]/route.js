@@ -3,6 +3,7 @@ import dbConnect from '@/backend/config/dbConnect';
 import isAuthenticatedUser from '@/backend/middlewares/auth';
 import Cart from '@/backend/models/cart';
 import User from '@/backend/models/user';
+import { CART_PRODUCT_FIELDS, formatCartItems } from '@/backend/utils/cart';
 import { captureException } from '@/monitoring/sentry';
 
 /**
@@ -58,28 +59,11 @@ export async function DELETE(req, { params }) {
 
     // Récupérer le panier mis à jour avec les produits populés
     const cartItems = await Cart.find({ user: user._id })
-      .populate('product', 'name price stock images')
-      .sort({ createdAt: -1 });
+      .populate('product', CART_PRODUCT_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
 
-    // Formater la réponse
-    const formattedCart = cartItems
-      .filter((item) => item.product && item.product.stock > 0)
-      .map((item) => ({
-        id: item._id,
-        productId: item.product._id,
-        productName: item.product.name,
-        price: item.product.price,
-        quantity: item.quantity,
-        stock: item.product.stock,
-        subtotal: item.quantity * item.product.price,
-        imageUrl: item.product.images?.[0]?.url || '',
-      }));
-
-    const cartCount = formattedCart.length;
-    const cartTotal = formattedCart.reduce(
-      (sum, item) => sum + item.subtotal,
-      0,
-    );
+    const { cart, cartCount, cartTotal, changes } = formatCartItems(cartItems);
 
     return NextResponse.json(
       {
@@ -88,7 +72,8 @@ export async function DELETE(req, { params }) {
         data: {
           cartCount,
           cartTotal,
-          cart: formattedCart,
+          cart,
+          changes,
           deletedItemId: id,
         },
       },
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Cart from '@/backend/models/cart';
+import { CART_PRODUCT_FIELDS, formatCartItems } from '@/backend/utils/cart';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * POST /api/cart/acknowledge
+ * Confirme la prise en compte des changements signalés dans le panier
+ * (prix, quantités, produits retirés) avant de passer commande
+ */
+export async function POST(req) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    const { updated, removed } = await Cart.acknowledgeChanges(user._id);
+
+    // Récupérer le panier mis à jour
+    const cartItems = await Cart.find({ user: user._id })
+      .populate('product', CART_PRODUCT_FIELDS)
+      .lean();
+
+    const { cart, cartCount, cartTotal, changes } = formatCartItems(cartItems);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Cart changes acknowledged',
+        data: {
+          cartCount,
+          cartTotal,
+          cart,
+          changes,
+          updated,
+          removed,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Cart acknowledge error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: { component: 'api', route: 'cart/acknowledge/POST' },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to acknowledge cart changes',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+}
@@ -0,0 +1,146 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Cart from '@/backend/models/cart';
+import Product from '@/backend/models/product';
+import { validateCartMerge } from '@/helpers/validation/schemas/cart';
+import { captureException } from '@/monitoring/sentry';
+
+// Message d'erreur du contrôle de stock de cartSchema.pre('save')
+const isStockError = (error) => error.message?.startsWith('Stock insuffisant');
+
+/**
+ * POST /api/cart/merge
+ * Fusionne le panier invité dans le panier de l'utilisateur qui vient de
+ * se connecter. Les quantités sont additionnées puis ramenées au stock
+ * disponible lorsque le contrôle de cartSchema.pre('save') les refuse.
+ */
+export async function POST(req) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    // Parser les données
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    const validation = await validateCartMerge(body);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const merged = [];
+    const adjusted = [];
+    const skipped = [];
+
+    for (const { productId, quantity } of validation.data.items) {
+      const product = await Product.findById(productId)
+        .select('name price stock isActive')
+        .lean();
+
+      if (!product || !product.isActive || product.stock < 1) {
+        skipped.push({
+          productId,
+          productName: product?.name,
+          reason: product?.isActive ? 'out_of_stock' : 'unavailable',
+        });
+        continue;
+      }
+
+      const cartItem =
+        (await Cart.findOne({ user: user._id, product: productId })) ||
+        new Cart({
+          user: user._id,
+          product: productId,
+          price: product.price,
+          productName: product.name,
+        });
+
+      const requested = (cartItem.isNew ? 0 : cartItem.quantity) + quantity;
+      cartItem.quantity = requested;
+
+      try {
+        await cartItem.save();
+        merged.push({ productId, quantity: requested });
+      } catch (error) {
+        if (!isStockError(error)) throw error;
+
+        // Ramener la quantité au stock disponible
+        cartItem.quantity = product.stock;
+        try {
+          await cartItem.save();
+        } catch (retryError) {
+          if (!isStockError(retryError)) throw retryError;
+          skipped.push({
+            productId,
+            productName: product.name,
+            reason: 'out_of_stock',
+          });
+          continue;
+        }
+
+        adjusted.push({
+          productId,
+          productName: product.name,
+          requested,
+          quantity: product.stock,
+        });
+      }
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Guest cart merged',
+        data: { merged, adjusted, skipped },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Cart merge error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: { component: 'api', route: 'cart/merge/POST' },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to merge cart',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+}
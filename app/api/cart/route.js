@@ -4,6 +4,7 @@ import isAuthenticatedUser from '@/backend/middlewares/auth';
 import User from '@/backend/models/user';
 import Cart from '@/backend/models/cart';
 import Product from '@/backend/models/product';
+import { CART_PRODUCT_FIELDS, formatCartItems } from '@/backend/utils/cart';
 import { DECREASE, INCREASE } from '@/helpers/constants';
 import { captureException } from '@/monitoring/sentry';
 
@@ -30,36 +31,11 @@ export async function GET(req) {
 
     // Récupérer le panier avec les produits populés
     const cartItems = await Cart.find({ user: user._id })
-      .populate('product', 'name price stock images isActive')
+      .populate('product', CART_PRODUCT_FIELDS)
       .lean();
 
-    // Filtrer les produits disponibles et ajuster les quantités
-    const validCartItems = cartItems.filter(
-      (item) => item.product && item.product.isActive && item.product.stock > 0,
-    );
-
-    // Ajuster les quantités si elles dépassent le stock
-    const formattedCart = validCartItems.map((item) => {
-      const quantity = Math.min(item.quantity, item.product.stock);
-      const subtotal = quantity * item.product.price;
-
-      return {
-        id: item._id,
-        productId: item.product._id,
-        productName: item.product.name,
-        price: item.product.price,
-        quantity,
-        stock: item.product.stock,
-        subtotal,
-        imageUrl: item.product.images?.[0]?.url || '',
-      };
-    });
-
-    const cartCount = formattedCart.length;
-    const cartTotal = formattedCart.reduce(
-      (sum, item) => sum + item.subtotal,
-      0,
-    );
+    // Prix actuels, quantités ramenées au stock et changements signalés
+    const { cart, cartCount, cartTotal, changes } = formatCartItems(cartItems);
 
     return NextResponse.json(
       {
@@ -67,7 +43,8 @@ export async function GET(req) {
         data: {
           cartCount,
           cartTotal,
-          cart: formattedCart,
+          cart,
+          changes,
         },
       },
       {
@@ -195,28 +172,10 @@ export async function POST(req) {
 
     // Récupérer le panier mis à jour
     const cartItems = await Cart.find({ user: user._id })
-      .populate('product', 'name price stock images isActive')
+      .populate('product', CART_PRODUCT_FIELDS)
       .lean();
 
-    // Formater la réponse
-    const formattedCart = cartItems
-      .filter((item) => item.product && item.product.isActive)
-      .map((item) => ({
-        id: item._id,
-        productId: item.product._id,
-        productName: item.product.name,
-        price: item.product.price,
-        quantity: item.quantity,
-        stock: item.product.stock,
-        subtotal: item.quantity * item.product.price,
-        imageUrl: item.product.images?.[0]?.url || '',
-      }));
-
-    const cartCount = formattedCart.length;
-    const cartTotal = formattedCart.reduce(
-      (sum, item) => sum + item.subtotal,
-      0,
-    );
+    const { cart, cartCount, cartTotal, changes } = formatCartItems(cartItems);
 
     return NextResponse.json(
       {
@@ -225,7 +184,8 @@ export async function POST(req) {
         data: {
           cartCount,
           cartTotal,
-          cart: formattedCart,
+          cart,
+          changes,
         },
       },
       { status: 201 },
@@ -357,28 +317,10 @@ export async function PUT(req) {
 
     // Récupérer le panier mis à jour
     const cartItems = await Cart.find({ user: user._id })
-      .populate('product', 'name price stock images isActive')
+      .populate('product', CART_PRODUCT_FIELDS)
       .lean();
 
-    // Formater la réponse
-    const formattedCart = cartItems
-      .filter((item) => item.product && item.product.isActive)
-      .map((item) => ({
-        id: item._id,
-        productId: item.product._id,
-        productName: item.product.name,
-        price: item.product.price,
-        quantity: item.quantity,
-        stock: item.product.stock,
-        subtotal: item.quantity * item.product.price,
-        imageUrl: item.product.images?.[0]?.url || '',
-      }));
-
-    const cartCount = formattedCart.length;
-    const cartTotal = formattedCart.reduce(
-      (sum, item) => sum + item.subtotal,
-      0,
-    );
+    const { cart, cartCount, cartTotal, changes } = formatCartItems(cartItems);
 
     return NextResponse.json(
       {
@@ -387,7 +329,8 @@ export async function PUT(req) {
         data: {
           cartCount,
           cartTotal,
-          cart: formattedCart,
+          cart,
+          changes,
         },
       },
       { status: 200 },
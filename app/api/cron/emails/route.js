@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import { authorizeCron } from '@/backend/middlewares/auth';
+import { processOutbox } from '@/backend/utils/emailQueue';
+import { captureException } from '@/monitoring/sentry';
+
+// Laisser au worker le temps de vider un lot
+export const maxDuration = 60;
+
+/**
+ * GET /api/cron/emails
+ * Worker de la file d'envoi : planifié toutes les minutes dans vercel.json,
+ * avec l'en-tête Authorization: Bearer CRON_SECRET. Seul à reprendre les
+ * emails en échec : l'envoi immédiat de enqueueEmail n'est tenté qu'une fois
+ * ?limit= borne le nombre d'emails traités (50 max)
+ */
+export async function GET(req) {
+  try {
+    const denied = authorizeCron(req);
+    if (denied) return denied;
+
+    const limitParam = parseInt(req.nextUrl.searchParams.get('limit'), 10);
+    const limit =
+      Number.isInteger(limitParam) && limitParam > 0
+        ? Math.min(limitParam, 50)
+        : undefined;
+
+    await dbConnect();
+
+    const summary = await processOutbox({ limit });
+
+    console.log('Email outbox processed:', summary);
+
+    return NextResponse.json(
+      { success: true, data: summary },
+      { status: 200, headers: { 'Cache-Control': 'no-store' } },
+    );
+  } catch (error) {
+    console.error('Email outbox worker error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'cron/emails/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
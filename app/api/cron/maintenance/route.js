@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import { authorizeCron } from '@/backend/middlewares/auth';
+import { runMaintenance } from '@/backend/utils/maintenance';
+import { captureException, captureMessage } from '@/monitoring/sentry';
+
+export const maxDuration = 60;
+
+/**
+ * GET /api/cron/maintenance
+ * Purge des paniers expirés, des comptes jamais vérifiés et des jetons de
+ * réinitialisation périmés, et rappel des paniers sur le point d'expirer
+ * Planifiée chaque jour dans vercel.json, avec l'en-tête
+ * Authorization: Bearer CRON_SECRET
+ * ?reminders=false désactive les rappels
+ */
+export async function GET(req) {
+  try {
+    const denied = authorizeCron(req);
+    if (denied) return denied;
+
+    await dbConnect();
+
+    const summary = await runMaintenance({
+      reminders: req.nextUrl.searchParams.get('reminders') !== 'false',
+    });
+
+    console.log('Maintenance completed:', summary);
+
+    captureMessage('Maintenance completed', {
+      level: 'info',
+      tags: { component: 'cron', action: 'maintenance' },
+      extra: summary,
+    });
+
+    return NextResponse.json(
+      { success: true, data: summary },
+      { status: 200, headers: { 'Cache-Control': 'no-store' } },
+    );
+  } catch (error) {
+    console.error('Maintenance job error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'cron/maintenance/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
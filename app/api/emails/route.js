@@ -1,15 +1,126 @@
 import { NextResponse } from 'next/server';
-import nodemailer from 'nodemailer';
 import dbConnect from '@/backend/config/dbConnect';
 import isAuthenticatedUser from '@/backend/middlewares/auth';
 import User from '@/backend/models/user';
 import Contact from '@/backend/models/contact';
-import { validateContactMessage } from '@/helpers/validation/schemas/contact';
+import Order from '@/backend/models/order';
+import { enqueueEmail } from '@/backend/utils/emailQueue';
+import { buildContactNotificationEmail } from '@/backend/utils/supportEmails';
+import {
+  validateContactMessage,
+  classifyMessageType,
+  isMessageUrgent,
+  getMessagePriority,
+  isOrderRelated,
+  extractOrderNumber,
+} from '@/helpers/validation/schemas/contact';
 import { captureException } from '@/monitoring/sentry';
 
+const HISTORY_PER_PAGE = 10;
+
+/**
+ * Numéro de commande à joindre à un message lié à une commande : celui
+ * cité dans le message s'il appartient à l'utilisateur, sinon sa commande
+ * la plus récente
+ */
+const findRelatedOrderNumber = async (userId, subject, message) => {
+  if (!isOrderRelated(subject, message)) return null;
+
+  const cited = extractOrderNumber(subject, message);
+  if (cited && (await Order.exists({ user: userId, orderNumber: cited }))) {
+    return cited;
+  }
+
+  const latest = await Order.findOne({ user: userId })
+    .sort({ createdAt: -1 })
+    .select('orderNumber')
+    .lean();
+
+  return latest?.orderNumber || null;
+};
+
+/**
+ * GET /api/emails
+ * Historique des messages de contact de l'utilisateur et des réponses
+ * du support
+ */
+export async function GET(req) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    const page = Math.max(
+      1,
+      Math.min(parseInt(req.nextUrl.searchParams.get('page'), 10) || 1, 100),
+    );
+
+    const { contacts, pagination } = await Contact.search(null, {
+      page,
+      limit: HISTORY_PER_PAGE,
+      userId: user._id,
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          messages: contacts.map((contact) => ({
+            _id: contact._id,
+            subject: contact.subject,
+            message: contact.message,
+            status: contact.status,
+            createdAt: contact.createdAt,
+            replies: (contact.replies || []).map((reply) => ({
+              _id: reply._id,
+              message: reply.message,
+              createdAt: reply.createdAt,
+            })),
+          })),
+          totalPages: pagination.pages,
+          currentPage: pagination.page,
+        },
+      },
+      { status: 200, headers: { 'Cache-Control': 'no-store' } },
+    );
+  } catch (error) {
+    console.error('Contact history fetch error:', error.message);
+
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: { component: 'api', route: 'emails/GET' },
+      });
+    }
+
+    if (error.message?.includes('authentication')) {
+      return NextResponse.json(
+        { success: false, message: 'Authentication failed' },
+        { status: 401 },
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, message: 'Failed to load messages' },
+      { status: 500 },
+    );
+  }
+}
+
 /**
  * POST /api/emails
- * Envoie un email de contact et enregistre le message
+ * Enregistre un message de contact et place l'email dans la file d'envoi
+ * Contact.status suit ensuite la livraison (pending → processing → sent/error)
  */
 export async function POST(req) {
   try {
@@ -58,86 +169,42 @@ export async function POST(req) {
       );
     }
 
-    // Créer le transporteur email
-    const transporter = nodemailer.createTransport({
-      host: 'smtp.gmail.com',
-      port: 465,
-      secure: true,
-      auth: {
-        user: process.env.NODEMAILER_EMAIL_ACCOUNT,
-        pass: process.env.NODEMAILER_PASSWORD_ACCOUNT,
-      },
+    // Classification et priorité du message
+    const type = classifyMessageType(subject, message);
+    const urgent = isMessageUrgent(subject, message);
+    const orderNumber = await findRelatedOrderNumber(
+      user._id,
+      subject,
+      message,
+    );
+
+    // Enregistrer le message avant tout envoi : une panne SMTP ne le perd pas
+    const contact = await Contact.create({
+      from: user._id,
+      subject: subject.trim(),
+      message: message.trim(),
+      status: 'pending',
+      type,
+      priority: getMessagePriority(type, urgent),
+      orderNumber: orderNumber || undefined,
     });
 
-    // Options de l'email
-    const mailOptions = {
-      from: {
-        name: user.name || 'BuyItNow User',
-        address: process.env.NODEMAILER_EMAIL_ACCOUNT,
+    await enqueueEmail(
+      buildContactNotificationEmail(contact, user, { urgent }),
+      {
+        category: 'contact',
+        contact: contact._id,
       },
-      replyTo: user.email,
-      to: process.env.NODEMAILER_EMAIL_ACCOUNT,
-      subject: `[Contact] ${subject}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2>Message de contact</h2>
-          <p><strong>De:</strong> ${user.name} (${user.email})</p>
-          <p><strong>Sujet:</strong> ${subject}</p>
-          <hr style="border: 1px solid #eee;">
-          <div style="white-space: pre-wrap;">${message}</div>
-          <hr style="border: 1px solid #eee;">
-          <p style="font-size: 12px; color: #666;">
-            Message envoyé depuis BuyItNow
-          </p>
-        </div>
-      `,
-      text: `De: ${user.name} (${user.email})\nSujet: ${subject}\n\n${message}`,
-    };
-
-    // Envoyer l'email et sauvegarder en parallèle
-    const [emailResult, contactResult] = await Promise.allSettled([
-      transporter.sendMail(mailOptions),
-      Contact.create({
-        from: user._id,
-        subject: subject.trim(),
-        message: message.trim(),
-        status: 'sent',
-      }),
-    ]);
-
-    // Gérer les résultats
-    if (
-      emailResult.status === 'rejected' &&
-      contactResult.status === 'rejected'
-    ) {
-      throw new Error('Failed to send email and save message');
-    }
-
-    if (emailResult.status === 'rejected') {
-      // Email échoué mais message sauvegardé
-      if (contactResult.status === 'fulfilled') {
-        await Contact.findByIdAndUpdate(contactResult.value._id, {
-          status: 'error',
-        });
-      }
-
-      return NextResponse.json(
-        {
-          success: false,
-          message: 'Email could not be sent, but message was recorded',
-        },
-        { status: 500 },
-      );
-    }
+    );
 
     // Succès
     return NextResponse.json(
       {
         success: true,
-        message: 'Email sent successfully',
+        message: 'Message received and queued for delivery',
       },
       {
-        status: 201,
+        status: 202,
         headers: {
           'Cache-Control': 'no-store',
         },
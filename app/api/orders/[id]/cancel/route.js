@@ -0,0 +1,133 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import Order from '@/backend/models/order';
+import User from '@/backend/models/user';
+import { notifyOrderEvent } from '@/backend/utils/orderEmails';
+import { validateOrderCancel } from '@/helpers/validation/schemas/order';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * POST /api/orders/[id]/cancel
+ * Annulation d'une commande par son propriétaire, tant qu'elle est en
+ * traitement. Les articles sont remis en stock dans la même transaction.
+ */
+export async function POST(req, { params }) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid order ID format' },
+        { status: 400 },
+      );
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    const user = await User.findOne({ email: req.user.email })
+      .select('_id name email')
+      .lean();
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    // Le corps (raison) est facultatif
+    let body = {};
+    try {
+      body = await req.json();
+    } catch {
+      body = {};
+    }
+
+    const validation = await validateOrderCancel({
+      reason: body?.reason || undefined,
+    });
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const order = await Order.cancelOrder(id, {
+      reason: validation.data.reason,
+      userId: user._id,
+      allowedStatuses: ['Processing'],
+    });
+
+    console.log('Order cancelled by customer:', order.orderNumber);
+
+    await notifyOrderEvent('cancelled', order, user);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Order cancelled successfully',
+        data: {
+          order: {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            orderStatus: order.orderStatus,
+            cancelReason: order.cancelReason,
+            cancelledAt: order.cancelledAt,
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Order cancel error:', error.message);
+
+    if (error.code === 'ORDER_NOT_FOUND') {
+      return NextResponse.json(
+        { success: false, message: 'Order not found' },
+        { status: 404 },
+      );
+    }
+
+    if (error.code === 'INVALID_TRANSITION') {
+      return NextResponse.json(
+        {
+          success: false,
+          code: 'INVALID_TRANSITION',
+          message: 'Only orders in processing can be cancelled',
+        },
+        { status: 409 },
+      );
+    }
+
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: 'orders/[id]/cancel/POST',
+          user: req.user?.email,
+        },
+      });
+    }
+
+    if (error.message?.includes('authentication')) {
+      return NextResponse.json(
+        { success: false, message: 'Authentication failed' },
+        { status: 401 },
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, message: 'Failed to cancel order. Please try again.' },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,163 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import Order from '@/backend/models/order';
+import User from '@/backend/models/user';
+// Modèle chargé pour populate('shippingInfo')
+import '@/backend/models/address';
+import {
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} from '@/backend/utils/invoice';
+import { captureException } from '@/monitoring/sentry';
+
+// Une commande remboursée reste facturée : la facture est conservée
+const INVOICEABLE_PAYMENT_STATUSES = ['paid', 'refunded'];
+
+const ORDER_NUMBER_REGEX = /^ORD-\d{8}-\d{5}$/;
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * GET /api/orders/me/[orderNumber]/invoice?format=html|pdf
+ * Facture d'une commande payée (ou remboursée depuis) de l'utilisateur
+ * connecté ; le paiement est confirmé par POST /api/admin/orders/[id]/payment.
+ * Le segment accepte le numéro de commande ou son ID (le dossier dynamique
+ * est partagé avec la route de détail).
+ */
+export async function GET(req, { params }) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    const { orderNumber: reference } = await params;
+    const format = req.nextUrl.searchParams.get('format') || 'html';
+
+    if (!['html', 'pdf'].includes(format)) {
+      return NextResponse.json(
+        { success: false, message: 'Unsupported invoice format' },
+        { status: 400 },
+      );
+    }
+
+    let orderFilter;
+    if (ORDER_NUMBER_REGEX.test(reference || '')) {
+      orderFilter = { orderNumber: reference };
+    } else if (OBJECT_ID_REGEX.test(reference || '')) {
+      orderFilter = { _id: reference };
+    } else {
+      return NextResponse.json(
+        { success: false, message: 'Invalid order reference' },
+        { status: 400 },
+      );
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    const user = await User.findOne({ email: req.user.email })
+      .select('_id name email phone')
+      .lean();
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    const order = await Order.findOne({ ...orderFilter, user: user._id })
+      .select('_id paymentStatus invoiceNumber')
+      .lean();
+
+    if (!order) {
+      return NextResponse.json(
+        { success: false, message: 'Order not found' },
+        { status: 404 },
+      );
+    }
+
+    if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      return NextResponse.json(
+        {
+          success: false,
+          code: 'ORDER_NOT_PAID',
+          message: 'Invoices are only available for paid orders',
+        },
+        { status: 409 },
+      );
+    }
+
+    // Numéro de facture attribué à la première édition
+    if (!order.invoiceNumber) {
+      await Order.assignInvoiceNumber(order._id);
+    }
+
+    // Document (non lean) : toJSON() applique le masquage du numéro de compte
+    const invoicedOrder = await Order.findById(order._id).populate(
+      'shippingInfo',
+      'street city state zipCode country',
+    );
+
+    const { isValid, invoice, errors } = await buildInvoice(
+      invoicedOrder.toJSON(),
+      user,
+    );
+
+    if (!isValid) {
+      console.error('Invalid invoice data:', errors);
+      return NextResponse.json(
+        { success: false, message: 'Unable to generate invoice' },
+        { status: 422 },
+      );
+    }
+
+    const headers = {
+      'Cache-Control': 'private, no-store',
+      'X-Robots-Tag': 'noindex',
+    };
+
+    if (format === 'pdf') {
+      return new NextResponse(renderInvoicePdf(invoice), {
+        status: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="facture-${invoice.number}.pdf"`,
+        },
+      });
+    }
+
+    return new NextResponse(renderInvoiceHtml(invoice), {
+      status: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/html; charset=utf-8',
+      },
+    });
+  } catch (error) {
+    console.error('Invoice error:', error.message);
+
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: 'orders/me/[orderNumber]/invoice/GET',
+          user: req.user?.email,
+        },
+      });
+    }
+
+    if (error.message?.includes('authentication')) {
+      return NextResponse.json(
+        { success: false, message: 'Authentication failed' },
+        { status: 401 },
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, message: 'Failed to generate invoice' },
+      { status: 500 },
+    );
+  }
+}
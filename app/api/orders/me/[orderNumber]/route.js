@@ -0,0 +1,124 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import Order from '@/backend/models/order';
+import User from '@/backend/models/user';
+// Modèle chargé pour populate('shippingInfo')
+import '@/backend/models/address';
+import { captureException } from '@/monitoring/sentry';
+
+// Format ORD-YYYYMMDD-NNNNN
+const ORDER_NUMBER_REGEX = /^ORD-\d{8}-\d{5}$/;
+
+/**
+ * GET /api/orders/me/[orderNumber]
+ * Détail d'une commande de l'utilisateur connecté
+ */
+export async function GET(req, { params }) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    const { orderNumber } = await params;
+    if (!orderNumber || !ORDER_NUMBER_REGEX.test(orderNumber)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid order number format' },
+        { status: 400 },
+      );
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    const user = await User.findOne({ email: req.user.email })
+      .select('_id')
+      .lean();
+
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    // Document (non lean) : toJSON() applique le masquage du numéro de compte
+    const order = await Order.findOne({ orderNumber, user: user._id })
+      .select('-user -__v')
+      .populate('shippingInfo', 'street city state zipCode country');
+
+    if (!order) {
+      return NextResponse.json(
+        { success: false, message: 'Order not found' },
+        { status: 404 },
+      );
+    }
+
+    const data = order.toJSON();
+    const itemsAmount = data.orderItems.reduce(
+      (sum, item) => sum + (item.subtotal || item.price * item.quantity),
+      0,
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          order: {
+            _id: data._id,
+            orderNumber: data.orderNumber,
+            orderStatus: data.orderStatus,
+            paymentStatus: data.paymentStatus,
+            cancelReason: data.cancelReason,
+            orderItems: data.orderItems,
+            itemCount: data.itemCount,
+            shippingInfo: data.shippingInfo || null,
+            payment: {
+              typePayment: data.paymentInfo?.typePayment,
+              paymentAccountName: data.paymentInfo?.paymentAccountName,
+              paymentAccountNumber: data.paymentInfo?.paymentAccountNumber,
+              paymentDate: data.paymentInfo?.paymentDate,
+              amountPaid: data.paymentInfo?.amountPaid,
+            },
+            amounts: {
+              items: Math.round(itemsAmount * 100) / 100,
+              shipping: data.shippingAmount || 0,
+              tax: data.taxAmount || 0,
+              total: data.totalAmount,
+            },
+            timeline: {
+              createdAt: data.createdAt,
+              paidAt: data.paidAt || null,
+              deliveredAt: data.deliveredAt || null,
+              cancelledAt: data.cancelledAt || null,
+            },
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Order detail error:', error.message);
+
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: 'orders/me/[orderNumber]/GET',
+          user: req.user?.email,
+        },
+      });
+    }
+
+    if (error.message?.includes('authentication')) {
+      return NextResponse.json(
+        { success: false, message: 'Authentication failed' },
+        { status: 401 },
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, message: 'Something went wrong' },
+      { status: 500 },
+    );
+  }
+}
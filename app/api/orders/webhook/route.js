@@ -3,11 +3,45 @@ import dbConnect from '@/backend/config/dbConnect';
 import isAuthenticatedUser from '@/backend/middlewares/auth';
 import Order from '@/backend/models/order';
 import User from '@/backend/models/user';
-import Product from '@/backend/models/product';
-import Category from '@/backend/models/category';
 import Cart from '@/backend/models/cart';
+import DeliveryPrice from '@/backend/models/deliveryPrice';
+import IdempotencyKey from '@/backend/models/idempotencyKey';
+import { canPlaceOrder } from '@/backend/utils/emailVerification';
+import { reserveStock } from '@/backend/utils/inventory';
+import { notifyOrderEvent } from '@/backend/utils/orderEmails';
 import { captureException } from '@/monitoring/sentry';
 
+// Écart toléré pour les arrondis
+const PRICE_TOLERANCE = 0.01;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Format accepté pour l'en-tête Idempotency-Key (UUID ou équivalent)
+const IDEMPOTENCY_KEY_REGEX = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Réponse renvoyée lors du rejeu d'une requête déjà traitée
+const replayResponse = (entry) =>
+  NextResponse.json(
+    {
+      success: true,
+      id: entry.order,
+      orderNumber: entry.orderNumber,
+      replayed: true,
+      message: 'Order already placed',
+    },
+    { status: 200, headers: { 'Idempotent-Replayed': 'true' } },
+  );
+
+// Les erreurs métier sont levées sous forme de JSON pour annuler la transaction
+const parseOrderError = (error) => {
+  try {
+    const data = JSON.parse(error.message);
+    return data?.type ? data : null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * POST /api/orders/webhook
  * Crée une commande après paiement confirmé
@@ -23,7 +57,7 @@ export async function POST(req) {
 
     // 3. Récupérer l'utilisateur
     const user = await User.findOne({ email: req.user.email })
-      .select('_id')
+      .select('_id name email verified')
       .lean();
 
     if (!user) {
@@ -33,6 +67,41 @@ export async function POST(req) {
       );
     }
 
+    // Bloquer les comptes non vérifiés selon UNVERIFIED_ACCOUNT_POLICY
+    // (l'état est relu en base, la session peut être antérieure à la vérification)
+    if (!canPlaceOrder(user)) {
+      return NextResponse.json(
+        {
+          success: false,
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Please verify your email before placing an order',
+        },
+        { status: 403 },
+      );
+    }
+
+    // Une clé par tentative de paiement : un double envoi renvoie la
+    // commande d'origine au lieu d'en créer une seconde
+    const idempotencyKey = req.headers.get('idempotency-key');
+    if (!idempotencyKey || !IDEMPOTENCY_KEY_REGEX.test(idempotencyKey)) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Missing or invalid Idempotency-Key header',
+        },
+        { status: 400 },
+      );
+    }
+
+    const existingEntry = await IdempotencyKey.findOrder(
+      user._id,
+      idempotencyKey,
+    );
+    if (existingEntry) {
+      console.log('Order replay detected:', existingEntry.orderNumber);
+      return replayResponse(existingEntry);
+    }
+
     // 4. Parser et valider les données de commande
     let orderData;
     try {
@@ -45,11 +114,7 @@ export async function POST(req) {
     }
 
     // Validation basique des champs requis
-    if (
-      !orderData?.orderItems?.length ||
-      !orderData.paymentInfo ||
-      !orderData.totalAmount
-    ) {
+    if (!orderData?.orderItems?.length || !orderData.paymentInfo) {
       return NextResponse.json(
         { success: false, message: 'Missing required order information' },
         { status: 400 },
@@ -62,6 +127,7 @@ export async function POST(req) {
       typePayment,
       paymentAccountNumber,
       paymentAccountName,
+      paymentDate,
     } = orderData.paymentInfo || {};
     if (
       !amountPaid ||
@@ -75,77 +141,82 @@ export async function POST(req) {
       );
     }
 
-    // Validation du montant
-    const totalAmount = parseFloat(orderData.totalAmount);
-    if (isNaN(totalAmount) || totalAmount <= 0) {
+    // Validation du montant déclaré par le client
+    const declaredAmount = roundAmount(parseFloat(amountPaid));
+    if (isNaN(declaredAmount) || declaredAmount <= 0) {
       return NextResponse.json(
         { success: false, message: 'Invalid order amount' },
         { status: 400 },
       );
     }
 
+    // Validation des lignes de commande
+    const invalidItem = orderData.orderItems.find(
+      (item) =>
+        !item?.product ||
+        !/^[0-9a-fA-F]{24}$/.test(String(item.product)) ||
+        !Number.isInteger(item.quantity) ||
+        item.quantity < 1,
+    );
+    if (invalidItem) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid order items' },
+        { status: 400 },
+      );
+    }
+
+    // Changements du panier (prix, quantité, disponibilité) non acceptés :
+    // l'acquittement est exigé ici et pas seulement dans l'interface
+    if (await Cart.hasPendingChanges(user._id)) {
+      return NextResponse.json(
+        {
+          success: false,
+          code: 'CART_CHANGES_PENDING',
+          message: 'Cart changes must be acknowledged before checkout',
+        },
+        { status: 409 },
+      );
+    }
+
     // 5. Vérifier le stock et traiter la commande en transaction
     const session = await Order.startSession();
 
+    let createdOrder;
+
     try {
       await session.withTransaction(async () => {
-        // Extraire les IDs de produits et quantités
-        const productOrders = orderData.orderItems.map((item) => ({
-          productId: item.product,
-          quantity: item.quantity,
-          cartId: item.cartId,
-        }));
-
-        // Vérifier et mettre à jour le stock pour chaque produit
-        const unavailableProducts = [];
-
-        for (const item of productOrders) {
-          const product = await Product.findById(item.productId)
-            .select('name stock price category')
-            .populate('category', 'categoryName')
-            .session(session);
-
-          if (!product) {
-            unavailableProducts.push({
-              id: item.productId,
-              name: 'Product not found',
-              reason: 'not_found',
-            });
-            continue;
-          }
+        // Vérifier et réserver le stock via le service d'inventaire
+        const { reserved, unavailable: unavailableProducts } =
+          await reserveStock(orderData.orderItems, session);
 
-          // Vérifier le stock
-          if (product.stock < item.quantity) {
-            unavailableProducts.push({
+        // Reconstruire chaque ligne à partir du produit
+        const priceChanges = [];
+        const orderItems = reserved.map(({ product, quantity, item }) => {
+          // Le prix affiché au client a changé depuis l'ajout au panier
+          const clientPrice = roundAmount(parseFloat(item.price));
+          if (Math.abs(clientPrice - product.price) > PRICE_TOLERANCE) {
+            priceChanges.push({
               id: product._id,
               name: product.name,
-              stock: product.stock,
-              requested: item.quantity,
-              reason: 'insufficient_stock',
+              clientPrice: isNaN(clientPrice) ? null : clientPrice,
+              currentPrice: product.price,
             });
-            continue;
           }
 
-          // Mettre à jour le stock
-          await Product.findByIdAndUpdate(
-            product._id,
-            {
-              $inc: {
-                stock: -item.quantity,
-                sold: item.quantity,
-              },
-            },
-            { session },
-          );
-
-          // Ajouter la catégorie à l'item de commande
-          const orderItem = orderData.orderItems.find(
-            (oi) => oi.product.toString() === product._id.toString(),
-          );
-          if (orderItem && product.category) {
-            orderItem.category = product.category.categoryName;
-          }
-        }
+          // Ligne reconstruite uniquement à partir des données serveur
+          return {
+            product: product._id,
+            name: product.name,
+            category: product.category?.categoryName || 'Non catégorisé',
+            quantity,
+            image:
+              product.images?.[0]?.url ||
+              item.image ||
+              '/images/default_product.png',
+            price: product.price,
+            subtotal: roundAmount(product.price * quantity),
+          };
+        });
 
         // Si des produits ne sont pas disponibles, annuler la transaction
         if (unavailableProducts.length > 0) {
@@ -157,17 +228,68 @@ export async function POST(req) {
           );
         }
 
-        // Nettoyer les champs non nécessaires
-        orderData.orderItems.forEach((item) => {
-          delete item.cartId;
-        });
+        if (priceChanges.length > 0) {
+          throw new Error(
+            JSON.stringify({
+              type: 'PRICE_CHANGED',
+              products: priceChanges,
+            }),
+          );
+        }
+
+        // Frais de livraison issus de DeliveryPrice, jamais du client
+        let shippingAmount = 0;
+        if (orderData.shippingInfo) {
+          const delivery = await DeliveryPrice.findOne()
+            .select('deliveryPrice')
+            .session(session)
+            .lean();
+          shippingAmount = roundAmount(delivery?.deliveryPrice || 0);
+        }
 
-        // Créer la commande
-        orderData.user = user._id;
-        const order = await Order.create([orderData], { session });
+        // Aucune taxe n'est appliquée actuellement
+        const taxAmount = 0;
+        const itemsAmount = roundAmount(
+          orderItems.reduce((sum, item) => sum + item.subtotal, 0),
+        );
+        const totalAmount = roundAmount(
+          itemsAmount + shippingAmount + taxAmount,
+        );
+
+        if (Math.abs(totalAmount - declaredAmount) > PRICE_TOLERANCE) {
+          throw new Error(
+            JSON.stringify({
+              type: 'AMOUNT_MISMATCH',
+              expected: { itemsAmount, shippingAmount, taxAmount, totalAmount },
+              received: { amountPaid: declaredAmount },
+            }),
+          );
+        }
+
+        // Créer la commande à partir des seuls champs autorisés
+        const order = await Order.create(
+          [
+            {
+              user: user._id,
+              shippingInfo: orderData.shippingInfo || undefined,
+              orderItems,
+              paymentInfo: {
+                amountPaid: totalAmount,
+                typePayment,
+                paymentAccountNumber,
+                paymentAccountName,
+                paymentDate,
+              },
+              taxAmount,
+              shippingAmount,
+              totalAmount,
+            },
+          ],
+          { session },
+        );
 
         // Supprimer les articles du panier
-        const cartIds = productOrders
+        const cartIds = orderData.orderItems
           .filter((item) => item.cartId)
           .map((item) => item.cartId);
 
@@ -178,20 +300,34 @@ export async function POST(req) {
           );
         }
 
+        // Enregistrer la clé dans la même transaction : en cas d'échec,
+        // une nouvelle tentative avec la même clé reste possible
+        await IdempotencyKey.create(
+          [
+            {
+              key: idempotencyKey,
+              user: user._id,
+              order: order[0]._id,
+              orderNumber: order[0].orderNumber,
+            },
+          ],
+          { session },
+        );
+
         // La transaction sera automatiquement commitée si tout réussit
-        return order[0];
+        createdOrder = order[0];
       });
 
       // Transaction réussie
-      const order = await Order.findOne({ user: user._id })
-        .sort({ createdAt: -1 })
-        .select('_id orderNumber')
-        .lean();
+      const order = createdOrder;
 
       console.log(
         `Order created: ${order.orderNumber} for user: ${req.user.email}`,
       );
 
+      // Email de confirmation (les rejeux ne passent pas par ici)
+      await notifyOrderEvent('placed', order, user);
+
       return NextResponse.json(
         {
           success: true,
@@ -202,21 +338,61 @@ export async function POST(req) {
         { status: 201 },
       );
     } catch (transactionError) {
-      // Gérer les erreurs de transaction
-      if (transactionError.message?.includes('STOCK_ERROR')) {
-        try {
-          const errorData = JSON.parse(transactionError.message);
-          return NextResponse.json(
-            {
-              success: false,
-              message: 'Some products are unavailable',
-              unavailableProducts: errorData.products,
-            },
-            { status: 409 },
-          );
-        } catch {
-          // Fallback si le parsing échoue
-        }
+      // Requête concurrente avec la même clé : renvoyer la commande gagnante
+      if (
+        transactionError.code === 11000 &&
+        transactionError.message?.includes('idempotency')
+      ) {
+        const entry = await IdempotencyKey.findOrder(user._id, idempotencyKey);
+        if (entry) return replayResponse(entry);
+
+        return NextResponse.json(
+          {
+            success: false,
+            code: 'REQUEST_IN_PROGRESS',
+            message: 'This order is already being processed',
+          },
+          { status: 409 },
+        );
+      }
+
+      // Gérer les erreurs métier levées dans la transaction
+      const businessError = parseOrderError(transactionError);
+
+      if (businessError?.type === 'STOCK_ERROR') {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Some products are unavailable',
+            unavailableProducts: businessError.products,
+          },
+          { status: 409 },
+        );
+      }
+
+      if (businessError?.type === 'PRICE_CHANGED') {
+        return NextResponse.json(
+          {
+            success: false,
+            code: 'PRICE_CHANGED',
+            message: 'Some product prices have changed',
+            priceChanges: businessError.products,
+          },
+          { status: 409 },
+        );
+      }
+
+      if (businessError?.type === 'AMOUNT_MISMATCH') {
+        return NextResponse.json(
+          {
+            success: false,
+            code: 'AMOUNT_MISMATCH',
+            message: 'Order total does not match server calculation',
+            expected: businessError.expected,
+            received: businessError.received,
+          },
+          { status: 422 },
+        );
       }
 
       // Autre erreur de transaction
@@ -228,10 +404,7 @@ export async function POST(req) {
     console.error('Order webhook error:', error.message);
 
     // Capturer seulement les vraies erreurs système
-    if (
-      !error.message?.includes('authentication') &&
-      !error.message?.includes('STOCK_ERROR')
-    ) {
+    if (!error.message?.includes('authentication')) {
       captureException(error, {
         tags: {
           component: 'api',
@@ -0,0 +1,240 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Order from '@/backend/models/order';
+import Product from '@/backend/models/product';
+import Review from '@/backend/models/review';
+import { validateProductReview } from '@/helpers/validation/schemas/product';
+import { captureException } from '@/monitoring/sentry';
+
+const REVIEWS_PER_PAGE = 10;
+
+const invalidIdResponse = () =>
+  NextResponse.json(
+    { success: false, message: 'Invalid product ID format' },
+    { status: 400 },
+  );
+
+// Prénom et initiale du nom de l'auteur
+const formatAuthor = (name) => {
+  const [firstName, ...rest] = (name || '').trim().split(/\s+/);
+  if (!firstName) return 'Client';
+  const lastName = rest.pop();
+  return lastName ? `${firstName} ${lastName[0].toUpperCase()}.` : firstName;
+};
+
+// Commande livrée de l'utilisateur contenant le produit
+const findDeliveredOrder = (userId, productId) =>
+  Order.findOne({
+    user: userId,
+    orderStatus: 'Delivered',
+    'orderItems.product': productId,
+  })
+    .select('_id')
+    .sort({ deliveredAt: -1 })
+    .lean();
+
+/**
+ * GET /api/products/[id]/reviews
+ * Avis d'un produit (10 par page, les plus récents d'abord) et synthèse des
+ * notes. Pour un utilisateur connecté, indique s'il peut laisser un avis.
+ */
+export async function GET(req, { params }) {
+  try {
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return invalidIdResponse();
+    }
+
+    const pageParam = parseInt(req.nextUrl.searchParams.get('page'), 10);
+    const page =
+      Number.isInteger(pageParam) && pageParam > 0 && pageParam <= 1000
+        ? pageParam
+        : 1;
+
+    await dbConnect();
+
+    const [reviews, summary] = await Promise.all([
+      Review.find({ product: id })
+        .populate('user', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * REVIEWS_PER_PAGE)
+        .limit(REVIEWS_PER_PAGE)
+        .lean(),
+      Review.getSummary(id),
+    ]);
+
+    // Droits de l'utilisateur connecté (facultatif)
+    let viewer = null;
+    const session = await getServerSession(auth);
+    if (session?.user?.email) {
+      const user = await User.findOne({ email: session.user.email }).select(
+        '_id',
+      );
+      if (user) {
+        const [hasReviewed, deliveredOrder] = await Promise.all([
+          Review.exists({ product: id, user: user._id }),
+          findDeliveredOrder(user._id, id),
+        ]);
+        viewer = {
+          hasReviewed: !!hasReviewed,
+          canReview: !hasReviewed && !!deliveredOrder,
+        };
+      }
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          reviews: reviews.map((review) => ({
+            id: review._id,
+            rating: review.rating,
+            title: review.title,
+            comment: review.comment,
+            wouldRecommend: review.wouldRecommend,
+            author: formatAuthor(review.user?.name),
+            createdAt: review.createdAt,
+          })),
+          summary,
+          viewer,
+          totalPages: Math.ceil(summary.count / REVIEWS_PER_PAGE),
+          currentPage: page,
+        },
+      },
+      { status: 200, headers: { 'Cache-Control': 'private, no-cache' } },
+    );
+  } catch (error) {
+    console.error('Product reviews GET error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'products/[id]/reviews/GET' },
+    });
+
+    return NextResponse.json(
+      { success: false, message: 'Failed to fetch reviews' },
+      { status: 500 },
+    );
+  }
+}
+
+/**
+ * POST /api/products/[id]/reviews
+ * Publie un avis ; réservé aux clients dont une commande livrée contient
+ * le produit, un avis par produit
+ */
+export async function POST(req, { params }) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    const { id } = await params;
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return invalidIdResponse();
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    // Parser les données
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    const validation = await validateProductReview(body);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const productExists = await Product.exists({ _id: id });
+    if (!productExists) {
+      return NextResponse.json(
+        { success: false, message: 'Product not found' },
+        { status: 404 },
+      );
+    }
+
+    const deliveredOrder = await findDeliveredOrder(user._id, id);
+    if (!deliveredOrder) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Only customers who received this product can review it',
+        },
+        { status: 403 },
+      );
+    }
+
+    const { rating, title, comment, wouldRecommend } = validation.data;
+
+    const review = await Review.create({
+      product: id,
+      user: user._id,
+      order: deliveredOrder._id,
+      rating,
+      title,
+      comment,
+      wouldRecommend: wouldRecommend ?? null,
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Review published',
+        data: { review },
+      },
+      { status: 201 },
+    );
+  } catch (error) {
+    console.error('Product reviews POST error:', error.message);
+
+    if (error.code === 11000) {
+      return NextResponse.json(
+        { success: false, message: 'You have already reviewed this product' },
+        { status: 409 },
+      );
+    }
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: { component: 'api', route: 'products/[id]/reviews/POST' },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to publish review',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+}
@@ -28,7 +28,9 @@ export async function GET(req, { params }) {
 
     // Récupérer le produit principal
     const product = await Product.findById(id)
-      .select('name description price images category stock sold isActive slug')
+      .select(
+        'name description price images category stock sold isActive slug ratingAverage ratingCount',
+      )
       .populate('category', 'categoryName')
       .lean();
 
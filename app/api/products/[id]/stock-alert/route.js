@@ -0,0 +1,164 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Product from '@/backend/models/product';
+import StockSubscription from '@/backend/models/stockSubscription';
+import { captureException } from '@/monitoring/sentry';
+
+// Authentification, validation de l'ID et chargement de l'utilisateur
+const resolveRequest = async (req, params) => {
+  await isAuthenticatedUser(req, NextResponse);
+
+  const { id } = await params;
+  if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+    return {
+      response: NextResponse.json(
+        { success: false, message: 'Invalid product ID format' },
+        { status: 400 },
+      ),
+    };
+  }
+
+  await dbConnect();
+
+  const user = await User.findOne({ email: req.user.email }).select('_id');
+  if (!user) {
+    return {
+      response: NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      ),
+    };
+  }
+
+  return { id, user };
+};
+
+const errorResponse = (error, method, fallbackMessage) => {
+  console.error(`Stock alert ${method} error:`, error.message);
+
+  // Capturer seulement les vraies erreurs système
+  if (!error.message?.includes('authentication')) {
+    captureException(error, {
+      tags: { component: 'api', route: `products/[id]/stock-alert/${method}` },
+    });
+  }
+
+  return NextResponse.json(
+    {
+      success: false,
+      message: error.message?.includes('authentication')
+        ? 'Authentication failed'
+        : fallbackMessage,
+    },
+    { status: error.message?.includes('authentication') ? 401 : 500 },
+  );
+};
+
+/**
+ * GET /api/products/[id]/stock-alert
+ * Indique si l'utilisateur connecté attend le retour en stock du produit
+ */
+export async function GET(req, { params }) {
+  try {
+    const { id, user, response } = await resolveRequest(req, params);
+    if (response) return response;
+
+    const subscribed = await StockSubscription.exists({
+      user: user._id,
+      product: id,
+    });
+
+    return NextResponse.json(
+      { success: true, data: { subscribed: !!subscribed } },
+      { status: 200, headers: { 'Cache-Control': 'private, no-cache' } },
+    );
+  } catch (error) {
+    return errorResponse(error, 'GET', 'Failed to fetch stock alert');
+  }
+}
+
+/**
+ * POST /api/products/[id]/stock-alert
+ * Demande une alerte email au retour en stock du produit
+ */
+export async function POST(req, { params }) {
+  try {
+    const { id, user, response } = await resolveRequest(req, params);
+    if (response) return response;
+
+    const product = await Product.findById(id).select('stock isActive').lean();
+
+    if (!product || !product.isActive) {
+      return NextResponse.json(
+        { success: false, message: 'Product not available' },
+        { status: 404 },
+      );
+    }
+
+    if (product.stock > 0) {
+      return NextResponse.json(
+        { success: false, message: 'Product is in stock' },
+        { status: 409 },
+      );
+    }
+
+    await StockSubscription.updateOne(
+      { user: user._id, product: id },
+      { $setOnInsert: { user: user._id, product: id } },
+      { upsert: true },
+    );
+
+    // Une demande explicite annule une désinscription antérieure
+    await User.updateOne(
+      { _id: user._id, stockAlertsOptOut: true },
+      { $set: { stockAlertsOptOut: false } },
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Stock alert created',
+        data: { subscribed: true },
+      },
+      { status: 201 },
+    );
+  } catch (error) {
+    return errorResponse(error, 'POST', 'Failed to create stock alert');
+  }
+}
+
+/**
+ * DELETE /api/products/[id]/stock-alert
+ * Annule l'alerte de retour en stock
+ */
+export async function DELETE(req, { params }) {
+  try {
+    const { id, user, response } = await resolveRequest(req, params);
+    if (response) return response;
+
+    const { deletedCount } = await StockSubscription.deleteOne({
+      user: user._id,
+      product: id,
+    });
+
+    if (deletedCount === 0) {
+      return NextResponse.json(
+        { success: false, message: 'Stock alert not found' },
+        { status: 404 },
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Stock alert removed',
+        data: { subscribed: false },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    return errorResponse(error, 'DELETE', 'Failed to remove stock alert');
+  }
+}
@@ -1,8 +1,11 @@
-import { NextResponse } from 'next/server';
+import { after, NextResponse } from 'next/server';
 import dbConnect from '@/backend/config/dbConnect';
 import Product from '@/backend/models/product';
 import Category from '@/backend/models/category';
-import APIFilters from '@/backend/utils/APIFilters';
+import SearchQuery from '@/backend/models/searchQuery';
+import APIFilters, {
+  toAccentInsensitivePattern,
+} from '@/backend/utils/APIFilters';
 import { captureException } from '@/monitoring/sentry';
 import { parseProductSearchParams } from '@/utils/inputSanitizer';
 import { validateProductFilters } from '@/helpers/validation/schemas/product';
@@ -11,6 +14,37 @@ import { validateProductFilters } from '@/helpers/validation/schemas/product';
 const DEFAULT_PER_PAGE = 10;
 const MAX_PER_PAGE = 50;
 
+/**
+ * Comptabilise une recherche pour les suggestions populaires, seulement si
+ * le terme figure dans le nom d'un produit ou d'une catégorie actifs : les
+ * saisies arbitraires ne sont jamais proposées aux autres visiteurs
+ * @param {string} keyword - Terme recherché
+ */
+const recordSearchQuery = async (keyword) => {
+  try {
+    const pattern = {
+      $regex: toAccentInsensitivePattern(keyword.trim()),
+      $options: 'i',
+    };
+
+    const [product, category] = await Promise.all([
+      Product.exists({ isActive: true, name: pattern }),
+      Category.exists({ isActive: true, categoryName: pattern }),
+    ]);
+
+    if (product || category) {
+      await SearchQuery.record(keyword);
+    }
+  } catch (error) {
+    console.error('Search query record error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'products/GET', action: 'search-query' },
+      extra: { keyword },
+    });
+  }
+};
+
 /**
  * GET /api/products
  * Récupère la liste des produits avec filtres et pagination
@@ -51,12 +85,15 @@ export async function GET(req) {
     // Créer les filtres avec les paramètres validés
     const apiFilters = new APIFilters(
       Product.find({ isActive: true })
-        .select('name description stock price images category')
+        .select(
+          'name description stock price images category ratingAverage ratingCount',
+        )
         .slice('images', 1),
       searchParams,
     )
       .search()
-      .filter();
+      .filter()
+      .sort();
 
     // Compter les produits filtrés
     const filteredProductsCount = await apiFilters.query
@@ -64,6 +101,16 @@ export async function GET(req) {
       .lean()
       .countDocuments();
 
+    // Alimenter les suggestions populaires après l'envoi de la réponse
+    const keyword = searchParams.get('keyword');
+    if (keyword && filteredProductsCount > 0) {
+      after(() => recordSearchQuery(keyword));
+    }
+
+    // Facettes de la barre de filtres, sur demande (facets=true)
+    const facets =
+      searchParams.get('facets') === 'true' ? await apiFilters.facets() : null;
+
     // Ajouter la pagination
     apiFilters.pagination(resPerPage);
 
@@ -82,6 +129,7 @@ export async function GET(req) {
         totalPages,
         totalProducts: filteredProductsCount,
         products: products || [],
+        ...(facets && { facets }),
       },
     };
 
@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import Product from '@/backend/models/product';
+import Category from '@/backend/models/category';
+import SearchQuery from '@/backend/models/searchQuery';
+import { toAccentInsensitivePattern } from '@/backend/utils/APIFilters';
+import { captureException } from '@/monitoring/sentry';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+const PRODUCTS_LIMIT = 5;
+const CATEGORIES_LIMIT = 3;
+const QUERIES_LIMIT = 5;
+
+/**
+ * GET /api/products/suggest?q=
+ * Suggestions de l'autocomplétion : produits, catégories et recherches
+ * populaires dont un mot commence par la saisie
+ */
+export async function GET(req) {
+  const q = (req.nextUrl.searchParams.get('q') || '')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+
+  if (q.length < MIN_QUERY_LENGTH) {
+    return NextResponse.json(
+      {
+        success: true,
+        data: { products: [], categories: [], queries: [] },
+      },
+      { status: 200 },
+    );
+  }
+
+  try {
+    await dbConnect();
+
+    const wordPrefix = {
+      $regex: `(?:^|\\s)${toAccentInsensitivePattern(q)}`,
+      $options: 'i',
+    };
+
+    const [products, categories, queries] = await Promise.all([
+      Product.find({ isActive: true, name: wordPrefix })
+        .select('name price images')
+        .slice('images', 1)
+        .sort({ sold: -1 })
+        .limit(PRODUCTS_LIMIT)
+        .lean(),
+      Category.find({ isActive: true, categoryName: wordPrefix })
+        .select('categoryName')
+        .sort({ sold: -1 })
+        .limit(CATEGORIES_LIMIT)
+        .lean(),
+      SearchQuery.findPopular(q, QUERIES_LIMIT),
+    ]);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          products: products.map((product) => ({
+            id: product._id,
+            name: product.name,
+            price: product.price,
+            imageUrl: product.images?.[0]?.url || null,
+          })),
+          categories: categories.map((category) => ({
+            id: category._id,
+            name: category.categoryName,
+          })),
+          queries,
+        },
+      },
+      {
+        status: 200,
+        headers: {
+          'Cache-Control': 'public, max-age=60, stale-while-revalidate=300',
+        },
+      },
+    );
+  } catch (error) {
+    console.error('Product suggestions error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'products/suggest/GET' },
+      extra: { query: q },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: 'Failed to fetch suggestions',
+      },
+      { status: 500 },
+    );
+  }
+}
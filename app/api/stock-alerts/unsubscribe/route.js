@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import StockSubscription from '@/backend/models/stockSubscription';
+import User from '@/backend/models/user';
+import { verifyUnsubscribeToken } from '@/backend/utils/stockAlerts';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * GET /api/stock-alerts/unsubscribe?token=
+ * Désinscrit des alertes de retour en stock à partir du lien signé de
+ * l'email, sans connexion, puis redirige vers l'accueil
+ */
+export async function GET(req) {
+  const redirectTo = (status) =>
+    NextResponse.redirect(new URL(`/?stockAlerts=${status}`, req.url));
+
+  try {
+    const userId = verifyUnsubscribeToken(
+      req.nextUrl.searchParams.get('token'),
+    );
+    if (!userId) {
+      return redirectTo('invalid');
+    }
+
+    await dbConnect();
+
+    await Promise.all([
+      User.updateOne({ _id: userId }, { $set: { stockAlertsOptOut: true } }),
+      StockSubscription.deleteMany({ user: userId }),
+    ]);
+
+    return redirectTo('unsubscribed');
+  } catch (error) {
+    console.error('Stock alerts unsubscribe error:', error.message);
+
+    captureException(error, {
+      tags: { component: 'api', route: 'stock-alerts/unsubscribe' },
+    });
+
+    return redirectTo('error');
+  }
+}
@@ -0,0 +1,228 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Product from '@/backend/models/product';
+import Wishlist, { WISHLIST_MAX_ITEMS } from '@/backend/models/wishlist';
+import { captureException } from '@/monitoring/sentry';
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Liste d'envies de l'utilisateur, produits supprimés exclus
+const getFormattedWishlist = async (userId) => {
+  const items = await Wishlist.find({ user: userId })
+    .populate('product', 'name price stock images isActive')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return items
+    .filter((item) => item.product)
+    .map((item) => ({
+      id: item._id,
+      productId: item.product._id,
+      productName: item.product.name,
+      price: item.product.price,
+      savedPrice: item.price,
+      stock: item.product.stock,
+      isAvailable: item.product.isActive && item.product.stock > 0,
+      imageUrl: item.product.images?.[0]?.url || '',
+      addedAt: item.createdAt,
+    }));
+};
+
+const errorResponse = (error, route, fallbackMessage) => {
+  console.error(`Wishlist ${route} error:`, error.message);
+
+  // Capturer seulement les vraies erreurs système
+  if (!error.message?.includes('authentication')) {
+    captureException(error, {
+      tags: { component: 'api', route: `wishlist/${route}` },
+    });
+  }
+
+  return NextResponse.json(
+    {
+      success: false,
+      message: error.message?.includes('authentication')
+        ? 'Authentication failed'
+        : fallbackMessage,
+    },
+    { status: error.message?.includes('authentication') ? 401 : 500 },
+  );
+};
+
+/**
+ * GET /api/wishlist
+ * Récupère la liste d'envies de l'utilisateur connecté
+ */
+export async function GET(req) {
+  try {
+    await isAuthenticatedUser(req, NextResponse);
+
+    await dbConnect();
+
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    const wishlist = await getFormattedWishlist(user._id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: { wishlist, count: wishlist.length },
+      },
+      { status: 200, headers: { 'Cache-Control': 'private, no-cache' } },
+    );
+  } catch (error) {
+    return errorResponse(error, 'GET', 'Failed to fetch wishlist');
+  }
+}
+
+/**
+ * POST /api/wishlist
+ * Ajoute un produit à la liste d'envies (sans effet s'il y est déjà)
+ */
+export async function POST(req) {
+  try {
+    await isAuthenticatedUser(req, NextResponse);
+
+    await dbConnect();
+
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        { success: false, message: 'Invalid request body' },
+        { status: 400 },
+      );
+    }
+
+    const { productId } = body;
+    if (!productId || !OBJECT_ID_PATTERN.test(productId)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid product ID' },
+        { status: 400 },
+      );
+    }
+
+    const product = await Product.findById(productId)
+      .select('name price isActive')
+      .lean();
+
+    if (!product || !product.isActive) {
+      return NextResponse.json(
+        { success: false, message: 'Product not available' },
+        { status: 404 },
+      );
+    }
+
+    const alreadySaved = await Wishlist.exists({
+      user: user._id,
+      product: productId,
+    });
+
+    if (!alreadySaved) {
+      const count = await Wishlist.countDocuments({ user: user._id });
+      if (count >= WISHLIST_MAX_ITEMS) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Wishlist is limited to ${WISHLIST_MAX_ITEMS} products`,
+          },
+          { status: 400 },
+        );
+      }
+
+      await Wishlist.updateOne(
+        { user: user._id, product: productId },
+        {
+          $setOnInsert: {
+            price: product.price,
+            productName: product.name,
+          },
+        },
+        { upsert: true },
+      );
+    }
+
+    const wishlist = await getFormattedWishlist(user._id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Product added to wishlist',
+        data: { wishlist, count: wishlist.length },
+      },
+      { status: alreadySaved ? 200 : 201 },
+    );
+  } catch (error) {
+    return errorResponse(error, 'POST', 'Failed to add to wishlist');
+  }
+}
+
+/**
+ * DELETE /api/wishlist?productId=
+ * Retire un produit de la liste d'envies
+ */
+export async function DELETE(req) {
+  try {
+    await isAuthenticatedUser(req, NextResponse);
+
+    await dbConnect();
+
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        { success: false, message: 'User not found' },
+        { status: 404 },
+      );
+    }
+
+    const productId = req.nextUrl.searchParams.get('productId');
+    if (!productId || !OBJECT_ID_PATTERN.test(productId)) {
+      return NextResponse.json(
+        { success: false, message: 'Invalid product ID' },
+        { status: 400 },
+      );
+    }
+
+    const { deletedCount } = await Wishlist.deleteOne({
+      user: user._id,
+      product: productId,
+    });
+
+    if (deletedCount === 0) {
+      return NextResponse.json(
+        { success: false, message: 'Product not in wishlist' },
+        { status: 404 },
+      );
+    }
+
+    const wishlist = await getFormattedWishlist(user._id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Product removed from wishlist',
+        data: { wishlist, count: wishlist.length },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    return errorResponse(error, 'DELETE', 'Failed to remove from wishlist');
+  }
+}
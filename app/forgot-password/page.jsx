@@ -0,0 +1,50 @@
+import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import ForgotPassword from '@/components/auth/ForgotPassword';
+import { getAuthenticatedUser } from '@/lib/auth';
+
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'Mot de passe oublié | Buy It Now',
+  description:
+    'Recevez un lien par email pour réinitialiser le mot de passe de votre compte Buy It Now.',
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+  alternates: {
+    canonical: '/forgot-password',
+  },
+};
+
+/**
+ * Page de demande de réinitialisation du mot de passe
+ */
+async function ForgotPasswordPage() {
+  // Un utilisateur connecté n'a rien à faire ici
+  const headersList = await headers();
+  const user = await getAuthenticatedUser(headersList);
+  if (user) {
+    return redirect('/me/update_password');
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gray-50">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h1 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Mot de passe oublié
+        </h1>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          <ForgotPassword />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPasswordPage;
@@ -1,8 +1,9 @@
 import { Suspense } from 'react';
 import dynamic from 'next/dynamic';
-import { headers } from 'next/headers';
+import { cookies, headers } from 'next/headers';
 import { redirect } from 'next/navigation';
 import { getAuthenticatedUser } from '@/lib/auth';
+import { getCookieName } from '@/helpers/helpers';
 
 // Custom components
 const ContactSkeleton = () => (
@@ -28,6 +29,51 @@ const Contact = dynamic(
   },
 );
 
+const ContactHistory = dynamic(
+  () => import('@/components/user/ContactHistory'),
+  { ssr: true },
+);
+
+/**
+ * Récupère l'historique des messages de l'utilisateur connecté
+ * @returns {Promise<Object|null>} Messages et pagination, ou null
+ */
+const getContactHistory = async (page) => {
+  const nextCookies = await cookies();
+  const authToken = nextCookies.get(getCookieName());
+  if (!authToken) return null;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+  try {
+    const query = page ? `?page=${encodeURIComponent(page)}` : '';
+    const res = await fetch(
+      `${process.env.API_URL || 'https://buyitnow-client-n15-prv1.vercel.app'}/api/emails${query}`,
+      {
+        signal: controller.signal,
+        headers: {
+          Cookie: `${authToken.name}=${authToken.value}`,
+        },
+        next: { revalidate: 0 },
+      },
+    );
+
+    if (!res.ok) {
+      console.error(`Contact history API error: ${res.status}`);
+      return null;
+    }
+
+    const body = await res.json();
+    return body.success ? body.data : null;
+  } catch (error) {
+    console.error('Contact history fetch failed:', error.message);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
 /**
  * Security headers for contact page with referrer validation
  */
@@ -78,7 +124,7 @@ export async function generateMetadata() {
  *
  * @returns {JSX.Element} - Rendered contact page
  */
-export default async function ContactPage() {
+export default async function ContactPage({ searchParams }) {
   // Security check at render time
   const headersList = await headers();
 
@@ -97,6 +143,7 @@ export default async function ContactPage() {
     .trim();
   const anonymizedIp = clientIp ? clientIp.replace(/\d+$/, 'xxx') : 'unknown';
   const userAgent = headersList.get('user-agent') || 'unknown';
+  const referrer = headersList.get('referer') || '';
 
   console.info('Contact page accessed', {
     userAgent: userAgent?.substring(0, 100),
@@ -107,7 +154,6 @@ export default async function ContactPage() {
       : 'unknown',
   });
 
-  const referrer = headersList.get('referer') || '';
   const isInternalReferrer = referrer.includes(
     process.env.NEXT_PUBLIC_SITE_URL ||
       'https://buyitnow-client-n15-prv1.vercel.app',
@@ -121,6 +167,9 @@ export default async function ContactPage() {
     redirect('/');
   }
 
+  const params = await searchParams;
+  const history = await getContactHistory(params?.page);
+
   try {
     return (
       <section className="max-w-3xl mx-auto">
@@ -131,6 +180,11 @@ export default async function ContactPage() {
             userId={user._id} // AJOUTER si le composant Contact en a besoin
           />
         </Suspense>
+
+        <div className="mt-10">
+          <h2 className="text-xl font-semibold mb-4">Mes messages</h2>
+          <ContactHistory history={history} />
+        </div>
       </section>
     );
   } catch (error) {
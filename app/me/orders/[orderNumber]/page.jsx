@@ -0,0 +1,119 @@
+import dynamic from 'next/dynamic';
+import { cookies } from 'next/headers';
+import { notFound, redirect } from 'next/navigation';
+import { captureException } from '@/monitoring/sentry';
+
+import logger from '@/utils/logger';
+import { getCookieName } from '@/helpers/helpers';
+
+const OrderDetails = dynamic(() => import('@/components/orders/OrderDetails'), {
+  loading: () => <OrderDetailsSkeleton />,
+  ssr: true,
+});
+
+const ORDER_NUMBER_REGEX = /^ORD-\d{8}-\d{5}$/;
+
+const OrderDetailsSkeleton = () => (
+  <div className="animate-pulse p-4">
+    <div className="h-7 bg-gray-200 rounded w-64 mb-6"></div>
+    <div className="h-24 bg-gray-200 rounded-md mb-4"></div>
+    <div className="h-64 bg-gray-200 rounded-md"></div>
+  </div>
+);
+
+/**
+ * Récupère le détail d'une commande de l'utilisateur connecté
+ * @returns {Promise<Object|null>} Commande, ou null si introuvable
+ */
+const getOrder = async (orderNumber) => {
+  const nextCookies = await cookies();
+  const authToken = nextCookies.get(getCookieName());
+
+  if (!authToken) {
+    return redirect(`/login?callbackUrl=/me/orders/${orderNumber}`);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+  try {
+    const res = await fetch(
+      `${process.env.API_URL || 'https://buyitnow-client-n15-prv1.vercel.app'}/api/orders/me/${orderNumber}`,
+      {
+        signal: controller.signal,
+        headers: {
+          Cookie: `${authToken.name}=${authToken.value}`,
+        },
+        next: { revalidate: 0 },
+      },
+    );
+
+    if (res.status === 404) return null;
+
+    if (!res.ok) {
+      throw new Error(`API Error: ${res.status} - ${res.statusText}`);
+    }
+
+    const responseBody = await res.json();
+    return responseBody.success ? responseBody.data.order : null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export async function generateMetadata({ params }) {
+  const { orderNumber } = await params;
+
+  return {
+    title: `Commande ${orderNumber} | Buy It Now`,
+    robots: {
+      index: false,
+      follow: false,
+      nocache: true,
+    },
+  };
+}
+
+/**
+ * Page de détail d'une commande
+ */
+const OrderDetailsPage = async ({ params }) => {
+  const { orderNumber } = await params;
+
+  if (!ORDER_NUMBER_REGEX.test(orderNumber)) {
+    notFound();
+  }
+
+  let order;
+  try {
+    order = await getOrder(orderNumber);
+  } catch (error) {
+    if (error?.digest?.startsWith('NEXT_REDIRECT')) throw error;
+
+    logger.error('Error loading order details page', {
+      error: error.message,
+      action: 'order_details_page_error',
+    });
+
+    captureException(error, {
+      tags: { component: 'OrderDetailsPage', action: 'page_load' },
+    });
+
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+        <p className="text-red-600">
+          Impossible de charger cette commande. Veuillez réessayer
+          ultérieurement.
+        </p>
+      </div>
+    );
+  }
+
+  if (!order) {
+    notFound();
+  }
+
+  return <OrderDetails order={order} />;
+};
+
+export default OrderDetailsPage;
@@ -0,0 +1,43 @@
+import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import Wishlist from '@/components/user/Wishlist';
+import { getAuthenticatedUser } from '@/lib/auth';
+
+// Force dynamic rendering pour garantir l'état d'authentification à jour
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: "Ma liste d'envies | Buy It Now",
+  description:
+    'Retrouvez les produits que vous avez enregistrés pour plus tard',
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+  alternates: {
+    canonical: '/me/wishlist',
+  },
+};
+
+/**
+ * Liste d'envies de l'utilisateur
+ * Les données sont chargées par WishlistContext côté client
+ */
+const WishlistPage = async () => {
+  const headersList = await headers();
+  const user = await getAuthenticatedUser(headersList);
+
+  if (!user) {
+    return redirect('/login?callbackUrl=/me/wishlist');
+  }
+
+  return (
+    <div className="container max-w-6xl mx-auto px-4 py-8">
+      <h1 className="text-2xl font-semibold mb-6">Ma liste d&apos;envies</h1>
+      <Wishlist />
+    </div>
+  );
+};
+
+export default WishlistPage;
@@ -45,8 +45,11 @@ const getAllProducts = async (searchParams) => {
     // 2. Parser et nettoyer les paramètres de recherche
     const cleanParams = parseProductSearchParams(urlSearchParams);
 
-    // 3. Construire la query string
-    const searchQuery = new URLSearchParams(cleanParams).toString();
+    // 3. Construire la query string (avec les facettes des filtres)
+    const searchQuery = new URLSearchParams({
+      ...cleanParams,
+      facets: true,
+    }).toString();
 
     // 4. Construire l'URL complète de l'API
     const apiUrl = `${process.env.API_URL || 'https://buyitnow-client-n15-prv1.vercel.app'}/api/products${
@@ -117,6 +120,7 @@ const getAllProducts = async (searchParams) => {
         products: responseBody.data.products || [],
         totalPages: responseBody.data.totalPages || 0,
         totalProducts: responseBody.data.totalProducts || 0,
+        facets: responseBody.data.facets || null,
       },
     };
   } catch (error) {
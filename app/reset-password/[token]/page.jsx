@@ -0,0 +1,46 @@
+import { notFound } from 'next/navigation';
+import ResetPassword from '@/components/auth/ResetPassword';
+
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: 'Nouveau mot de passe | Buy It Now',
+  description: 'Choisissez un nouveau mot de passe pour votre compte.',
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+  // Ne pas divulguer le token via le referer
+  referrer: 'no-referrer',
+};
+
+/**
+ * Page de réinitialisation du mot de passe (lien reçu par email)
+ */
+async function ResetPasswordPage({ params }) {
+  const { token } = await params;
+
+  // Les tokens générés sont des chaînes hexadécimales de 64 caractères
+  if (!token || !/^[0-9a-f]{64}$/i.test(token)) {
+    return notFound();
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col justify-center py-12 sm:px-6 lg:px-8 bg-gray-50">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h1 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Choisir un nouveau mot de passe
+        </h1>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          <ResetPassword token={token} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPasswordPage;
@@ -1,5 +1,9 @@
+import { timingSafeEqual } from 'crypto';
 import { auth } from '@/app/api/auth/[...nextauth]/route';
 import { getServerSession } from 'next-auth';
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import User from '@/backend/models/user';
 
 const isAuthenticatedUser = async (req, res) => {
   const session = await getServerSession(auth);
@@ -11,4 +15,64 @@ const isAuthenticatedUser = async (req, res) => {
   req.user = session.user;
 };
 
+/**
+ * Vérifie que l'utilisateur connecté possède l'un des rôles autorisés.
+ * Le rôle est relu en base pour ne pas se fier à une session antérieure
+ * à une rétrogradation.
+ * @param {Request} req - Requête entrante (req.user est renseigné si autorisé)
+ * @param {...string} roles - Rôles autorisés (ex: 'admin')
+ * @returns {Promise<NextResponse|null>} Réponse d'erreur, ou null si autorisé
+ */
+export const authorizeRoles = async (req, ...roles) => {
+  const session = await getServerSession(auth);
+
+  if (!session?.user?.email) {
+    return NextResponse.json(
+      { success: false, message: 'Login first to access this route' },
+      { status: 401 },
+    );
+  }
+
+  await dbConnect();
+
+  const user = await User.findOne({ email: session.user.email })
+    .select('_id name email role isActive')
+    .lean();
+
+  if (!user || !user.isActive || !roles.includes(user.role)) {
+    return NextResponse.json(
+      { success: false, message: 'You are not allowed to access this route' },
+      { status: 403 },
+    );
+  }
+
+  req.user = { ...session.user, _id: user._id.toString(), role: user.role };
+
+  return null;
+};
+
+/**
+ * Vérifie qu'une tâche planifiée présente le secret CRON_SECRET
+ * (en-tête Authorization: Bearer <secret>, format des crons Vercel)
+ * @returns {NextResponse|null} Réponse d'erreur, ou null si autorisé
+ */
+export const authorizeCron = (req) => {
+  const secret = process.env.CRON_SECRET;
+  const provided = req.headers.get('authorization') || '';
+  const expected = `Bearer ${secret}`;
+
+  if (
+    !secret ||
+    provided.length !== expected.length ||
+    !timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  ) {
+    return NextResponse.json(
+      { success: false, message: 'Unauthorized' },
+      { status: 401 },
+    );
+  }
+
+  return null;
+};
+
 export default isAuthenticatedUser;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { CART_PRODUCT_FIELDS, formatCartItems } from '@/backend/utils/cart';
 
 const cartSchema = new mongoose.Schema(
   {
@@ -43,6 +44,11 @@ const cartSchema = new mongoose.Schema(
       default: () => new Date(+new Date() + 7 * 24 * 60 * 60 * 1000), // Expire après 7 jours par défaut
       index: true, // Indexer pour faciliter le nettoyage
     },
+    // Rappel d'expiration envoyé (une seule fois par article)
+    expiryReminderSentAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Ajoute et gère automatiquement createdAt et updatedAt
@@ -111,6 +117,72 @@ cartSchema.statics.removeExpiredItems = function () {
   return this.deleteMany({ expiresAt: { $lt: new Date() } });
 };
 
+/**
+ * Aligne les lignes du panier sur les produits actuels après que
+ * l'utilisateur a pris connaissance des changements : prix et nom mis à
+ * jour, quantités ramenées au stock, produits indisponibles retirés
+ * @param {string} userId - Propriétaire du panier
+ * @returns {Promise<{updated: number, removed: number}>}
+ */
+cartSchema.statics.acknowledgeChanges = async function (userId) {
+  const items = await this.find({ user: userId })
+    .populate('product', 'name price stock isActive')
+    .lean();
+
+  const operations = [];
+  let removed = 0;
+
+  items.forEach(({ _id, product, price, productName, quantity }) => {
+    if (!product || !product.isActive || product.stock < 1) {
+      operations.push({ deleteOne: { filter: { _id } } });
+      removed += 1;
+      return;
+    }
+
+    const clampedQuantity = Math.min(quantity, product.stock);
+    if (
+      price !== product.price ||
+      productName !== product.name ||
+      clampedQuantity !== quantity
+    ) {
+      operations.push({
+        updateOne: {
+          filter: { _id },
+          update: {
+            $set: {
+              price: product.price,
+              productName: product.name,
+              quantity: clampedQuantity,
+              updatedAt: Date.now(),
+            },
+          },
+        },
+      });
+    }
+  });
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+
+  return { updated: operations.length - removed, removed };
+};
+
+/**
+ * Indique si le panier comporte des changements que l'utilisateur n'a pas
+ * encore acceptés (cf. formatCartItems) ; la commande est refusée tant
+ * qu'ils ne sont pas acquittés via acknowledgeChanges
+ * @param {string} userId - Propriétaire du panier
+ * @returns {Promise<boolean>}
+ */
+cartSchema.statics.hasPendingChanges = async function (userId) {
+  const items = await this.find({ user: userId })
+    .populate('product', CART_PRODUCT_FIELDS)
+    .lean();
+
+  return formatCartItems(items).changes.hasChanges;
+};
+
 // Configurer le modèle pour qu'il utilise les options de toJSON
 cartSchema.set('toJSON', {
   virtuals: true,
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { captureException } from '@/monitoring/sentry';
+import { escapeRegex } from '@/backend/utils/escape';
 
 /**
  * Schema de validation pour les messages de contact
@@ -34,15 +35,53 @@ const contactSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'resolved', 'sent'],
+      enum: ['pending', 'processing', 'resolved', 'sent', 'error'],
       default: 'pending',
       index: true, // Indexation pour recherche par statut
     },
+    // Réponses du support, envoyées par email au client
+    replies: [
+      {
+        message: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [5000, 'La réponse ne peut pas dépasser 5000 caractères'],
+        },
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     metadata: {
       ipAddress: String,
       userAgent: String,
       referrer: String,
     },
+    // Type déterminé par classifyMessageType
+    type: {
+      type: String,
+      enum: [
+        'support',
+        'complaint',
+        'question',
+        'compliment',
+        'suggestion',
+        'general',
+      ],
+      default: 'general',
+      index: true,
+    },
+    // Dernière commande du client, jointe aux messages liés à une commande
+    orderNumber: {
+      type: String,
+      trim: true,
+    },
     priority: {
       type: Number,
       default: 0,
@@ -140,6 +179,7 @@ contactSchema.statics.search = async function (query, options = {}) {
       sortBy = 'createdAt',
       sortDirection = -1,
       status,
+      priority,
       userId,
       isRead,
     } = options;
@@ -149,13 +189,15 @@ contactSchema.statics.search = async function (query, options = {}) {
 
     // Construire les conditions de recherche
     if (query && query.trim()) {
-      conditions.$or = [
-        { subject: new RegExp(query, 'i') },
-        { message: new RegExp(query, 'i') },
-      ];
+      // Échapper la saisie : la recherche est littérale
+      const pattern = new RegExp(escapeRegex(query.trim()), 'i');
+      conditions.$or = [{ subject: pattern }, { message: pattern }];
     }
 
     if (status) conditions.status = status;
+    if (priority !== undefined && priority !== null) {
+      conditions.priority = priority;
+    }
     if (userId) conditions.from = userId;
     if (isRead !== undefined) conditions.read = isRead;
 
@@ -207,6 +249,21 @@ contactSchema.methods.markAsRead = async function () {
   return false;
 };
 
+/**
+ * Ajoute une réponse du support et marque le message comme traité
+ * @param {string} message - Texte de la réponse
+ * @param {string} authorId - Administrateur auteur de la réponse
+ * @returns {Promise<Object>} Réponse ajoutée
+ */
+contactSchema.methods.addReply = async function (message, authorId) {
+  this.replies.push({ message, author: authorId });
+  this.status = 'resolved';
+  this.read = true;
+  await this.save();
+
+  return this.replies[this.replies.length - 1];
+};
+
 // Middleware pour nettoyer les données potentiellement dangereuses
 contactSchema.pre('findOneAndUpdate', function (next) {
   // Empêcher certaines modifications basées sur des règles métier
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Compteurs séquentiels nommés (ex: numéros de commande par jour)
+ * L'identifiant du document est le nom du compteur
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+/**
+ * Incrémente atomiquement un compteur et retourne la nouvelle valeur
+ * Utilisé dans une transaction, l'incrément est annulé avec elle : la
+ * séquence reste donc sans trou
+ * @param {string} name - Nom du compteur
+ * @param {ClientSession} [session] - Session MongoDB de l'opération appelante
+ * @returns {Promise<number>} Valeur après incrément
+ */
+counterSchema.statics.next = async function (name, session = null) {
+  const increment = () =>
+    this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session },
+    ).lean();
+
+  // Deux premiers incréments simultanés : l'un des upserts échoue sur l'_id
+  // déjà créé par l'autre (E11000). Dans une transaction, cette erreur
+  // l'annule et un second essai ne peut pas aboutir : le document est donc
+  // créé au préalable hors transaction, et l'incrément ne fait plus d'upsert
+  // concurrent
+  if (session) {
+    await this.updateOne(
+      { _id: name },
+      { $setOnInsert: { seq: 0 } },
+      { upsert: true },
+    ).catch((error) => {
+      if (error.code !== 11000) throw error;
+    });
+
+    const counter = await increment();
+    return counter.seq;
+  }
+
+  // Hors transaction, le second essai incrémente le document créé par l'autre
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+
+  return counter.seq;
+};
+
+const Counter =
+  mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+
+export default Counter;
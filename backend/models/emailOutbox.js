@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+
+// Nombre de tentatives avant mise en dead-letter
+export const EMAIL_MAX_ATTEMPTS = 5;
+
+// Backoff exponentiel : 1 min, 2 min, 4 min... plafonné à 1 heure
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Durée de verrouillage d'un email en cours d'envoi ; passé ce délai, un
+// worker interrompu ne bloque plus le message
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+// Conservation des emails envoyés (30 jours)
+const SENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+const addressSchema = new mongoose.Schema(
+  {
+    name: String,
+    address: String,
+  },
+  { _id: false },
+);
+
+/**
+ * File d'attente des emails sortants
+ * Les emails sont enregistrés avant d'être envoyés par le worker, avec
+ * reprise en cas d'échec SMTP et mise en dead-letter après EMAIL_MAX_ATTEMPTS
+ */
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, 'Le destinataire est obligatoire'],
+      trim: true,
+    },
+    from: addressSchema,
+    replyTo: String,
+    // En-têtes de fil de discussion (réponses du support)
+    inReplyTo: String,
+    references: String,
+    subject: {
+      type: String,
+      required: [true, 'Le sujet est obligatoire'],
+    },
+    html: String,
+    text: String,
+    priority: {
+      type: String,
+      enum: ['high', 'normal', 'low'],
+      default: 'normal',
+    },
+    // Origine du message (contact, order-placed...) pour le suivi
+    category: {
+      type: String,
+      default: 'transactional',
+    },
+    contact: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'sent', 'dead'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: EMAIL_MAX_ATTEMPTS,
+      min: 1,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: Date,
+    lastError: String,
+    messageId: String,
+    sentAt: Date,
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Sélection des messages à traiter par le worker
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedUntil: 1 });
+// Purge automatique des emails envoyés
+emailOutboxSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Réserve atomiquement le prochain email à envoyer
+ * Les messages verrouillés par un worker interrompu sont repris
+ * @param {string[]} [ids] - Restreindre aux emails indiqués
+ * @returns {Promise<Object|null>} Email réservé (attempts déjà incrémenté)
+ */
+emailOutboxSchema.statics.claimNext = function (ids = null) {
+  const now = new Date();
+  const filter = {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'processing', lockedUntil: { $lte: now } },
+    ],
+  };
+
+  if (ids) filter._id = { $in: ids };
+
+  return this.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'processing',
+        lockedUntil: new Date(now.getTime() + PROCESSING_LOCK_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } },
+  );
+};
+
+// Enregistre un envoi réussi
+emailOutboxSchema.methods.markSent = function (messageId) {
+  this.status = 'sent';
+  this.messageId = messageId;
+  this.sentAt = new Date();
+  this.expiresAt = new Date(Date.now() + SENT_TTL_SECONDS * 1000);
+  this.lockedUntil = undefined;
+  this.lastError = undefined;
+  return this.save();
+};
+
+/**
+ * Enregistre un échec : nouvelle tentative planifiée ou dead-letter
+ * @param {Error} error - Erreur SMTP
+ * @returns {Promise<Object>} Email mis à jour
+ */
+emailOutboxSchema.methods.markFailed = function (error) {
+  this.lastError = error?.message?.substring(0, 500) || 'Unknown error';
+  this.lockedUntil = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + retryDelay(this.attempts));
+  }
+
+  return this.save();
+};
+
+const EmailOutbox =
+  mongoose.models.EmailOutbox ||
+  mongoose.model('EmailOutbox', emailOutboxSchema);
+
+export default EmailOutbox;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Durée de conservation des clés (rejeu possible pendant 24 heures)
+const IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Clé d'idempotence associée à une commande créée
+ * Permet de renvoyer la commande d'origine lors d'un double envoi
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, "La clé d'idempotence est obligatoire"],
+    trim: true,
+    maxlength: [128, 'La clé ne peut pas dépasser 128 caractères'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Utilisateur obligatoire'],
+    ref: 'User',
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Order',
+  },
+  orderNumber: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    // Index TTL : MongoDB supprime automatiquement les clés expirées
+    expires: IDEMPOTENCY_KEY_TTL_SECONDS,
+  },
+});
+
+// Une clé est propre à un utilisateur
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Méthode statique pour retrouver la commande associée à une clé
+idempotencyKeySchema.statics.findOrder = function (userId, key) {
+  return this.findOne({ user: userId, key }).select('order orderNumber').lean();
+};
+
+const IdempotencyKey =
+  mongoose.models.IdempotencyKey ||
+  mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -1,6 +1,19 @@
 import mongoose from 'mongoose';
+import Counter from '@/backend/models/counter';
+import { restockItems } from '@/backend/utils/inventory';
+import { notifyBackInStock } from '@/backend/utils/stockAlerts';
 import logger from '@/utils/logger';
-import { captureException } from '@/monitoring/sentry';
+
+/**
+ * Transitions de statut autorisées pour une commande
+ * Processing → Shipped → Delivered, annulation possible avant livraison
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered', 'Cancelled'],
+  Delivered: [],
+  Cancelled: [],
+};
 
 /**
  * Schéma détaillé pour les produits dans une commande
@@ -174,6 +187,19 @@ const orderSchema = new mongoose.Schema(
     cancelledAt: {
       type: Date,
     },
+    // Numéro de facture séquentiel, attribué à la première édition
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    invoicedAt: {
+      type: Date,
+    },
+    // Date de remise en stock des articles (annulation ou remboursement)
+    restockedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: {
@@ -205,29 +231,14 @@ orderSchema.index({ orderStatus: 1, paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 
 // Créer un identifiant unique au format ORD-YYYYMMDD-XXXXX
+// La séquence du jour provient d'un compteur incrémenté dans la même session
+// que la commande : pas de collision entre commandes concurrentes et pas de
+// trou si la transaction est annulée
 orderSchema.pre('save', async function (next) {
   if (this.isNew) {
     try {
-      const date = new Date();
-      const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
-
-      // Trouver le dernier numéro de commande pour aujourd'hui
-      const lastOrder = await this.constructor
-        .findOne(
-          {
-            orderNumber: new RegExp(`ORD-${datePart}-\\d+`),
-          },
-          { orderNumber: 1 },
-        )
-        .sort({ orderNumber: -1 });
-
-      let sequence = 1;
-      if (lastOrder && lastOrder.orderNumber) {
-        const lastSequence = parseInt(
-          lastOrder.orderNumber.split('-')[2] || '0',
-        );
-        sequence = lastSequence + 1;
-      }
+      const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+      const sequence = await Counter.next(`order-${datePart}`, this.$session());
 
       // Formater avec padding à 5 chiffres (00001)
       this.orderNumber = `ORD-${datePart}-${sequence.toString().padStart(5, '0')}`;
@@ -237,9 +248,7 @@ orderSchema.pre('save', async function (next) {
         userId: this.user,
       });
 
-      // Fallback si la génération du numéro échoue - utiliser un timestamp unique
-      const timestamp = Date.now().toString();
-      this.orderNumber = `ORD-${timestamp.substring(0, 8)}-${timestamp.substring(8)}`;
+      return next(error);
     }
 
     // Calculer automatiquement le sous-total pour chaque article
@@ -298,41 +307,6 @@ orderSchema.pre('save', function (next) {
   next();
 });
 
-// Mettre à jour le stock après création d'une commande
-orderSchema.post('save', async function () {
-  try {
-    if (this.isNew) {
-      const Product = mongoose.model('Product');
-      const bulkOps = this.orderItems.map((item) => ({
-        updateOne: {
-          filter: { _id: item.product },
-          update: {
-            $inc: {
-              stock: -item.quantity,
-              sold: item.quantity,
-            },
-          },
-        },
-      }));
-
-      if (bulkOps.length > 0) {
-        await Product.bulkWrite(bulkOps);
-      }
-    }
-  } catch (error) {
-    // Ne pas bloquer la création de commande, mais logger l'erreur
-    logger.error('Erreur lors de la mise à jour du stock', {
-      error: error.message,
-      orderId: this._id,
-      orderNumber: this.orderNumber,
-    });
-
-    captureException(error, {
-      tags: { component: 'order-model', operation: 'update-stock' },
-    });
-  }
-});
-
 // Méthode pour calculer le total de la commande
 orderSchema.methods.calculateTotal = function () {
   const itemsTotal = this.orderItems.reduce(
@@ -342,6 +316,180 @@ orderSchema.methods.calculateTotal = function () {
   return itemsTotal + (this.shippingAmount || 0) + (this.taxAmount || 0);
 };
 
+// Méthode pour vérifier qu'une transition de statut est autorisée
+orderSchema.methods.canTransitionTo = function (status) {
+  return (ORDER_STATUS_TRANSITIONS[this.orderStatus] || []).includes(status);
+};
+
+// Remettre les articles en stock une seule fois, même si la commande est
+// annulée puis remboursée
+orderSchema.methods.restock = async function (session = null) {
+  if (this.restockedAt) return false;
+
+  await restockItems(
+    this.orderItems.map((item) => ({
+      product: item.product,
+      category: item.category,
+      quantity: item.quantity,
+    })),
+    session,
+  );
+  this.restockedAt = Date.now();
+
+  return true;
+};
+
+// Erreur métier levée par cancelOrder / refundOrder
+const orderOperationError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+// Exécute une opération sur une commande et la remise en stock associée
+// dans une même transaction, puis prévient les abonnés des produits revenus
+// en stock une fois la transaction validée
+const runWithRestock = async (Model, filter, apply) => {
+  const session = await Model.startSession();
+  let updatedOrder = null;
+  let restocked = false;
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await Model.findOne(filter).session(session);
+      if (!order) {
+        throw orderOperationError('ORDER_NOT_FOUND', 'Order not found');
+      }
+
+      apply(order);
+      restocked = await order.restock(session);
+      await order.save({ session });
+
+      updatedOrder = order;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (restocked) {
+    await notifyBackInStock(
+      updatedOrder.orderItems.map((item) => item.product),
+    );
+  }
+
+  return updatedOrder;
+};
+
+/**
+ * Annule une commande et remet ses articles en stock (transactionnel)
+ * @param {string} orderId - ID de la commande
+ * @param {Object} options
+ * @param {string} options.reason - Raison de l'annulation
+ * @param {string} [options.userId] - Restreint aux commandes de cet utilisateur
+ * @param {string[]} [options.allowedStatuses] - Statuts depuis lesquels
+ *   l'annulation est permise (par défaut : transitions autorisées)
+ */
+orderSchema.statics.cancelOrder = function (
+  orderId,
+  { reason, userId, allowedStatuses } = {},
+) {
+  const filter = { _id: orderId };
+  if (userId) filter.user = userId;
+
+  return runWithRestock(this, filter, (order) => {
+    const allowed = allowedStatuses
+      ? allowedStatuses.includes(order.orderStatus)
+      : order.canTransitionTo('Cancelled');
+
+    if (!allowed) {
+      throw orderOperationError(
+        'INVALID_TRANSITION',
+        `Cannot cancel an order with status ${order.orderStatus}`,
+      );
+    }
+
+    order.orderStatus = 'Cancelled';
+    order.cancelReason = reason;
+  });
+};
+
+/**
+ * Rembourse une commande payée et remet ses articles en stock (transactionnel)
+ * @param {string} orderId - ID de la commande
+ */
+orderSchema.statics.refundOrder = function (orderId) {
+  return runWithRestock(this, { _id: orderId }, (order) => {
+    if (order.paymentStatus !== 'paid') {
+      throw orderOperationError(
+        'INVALID_TRANSITION',
+        `Cannot refund an order with payment status ${order.paymentStatus}`,
+      );
+    }
+
+    order.paymentStatus = 'refunded';
+  });
+};
+
+/**
+ * Confirme le paiement d'une commande non annulée
+ * save() déclenche le hook qui renseigne paidAt
+ * @param {string} orderId - ID de la commande
+ */
+orderSchema.statics.confirmPayment = async function (orderId) {
+  const order = await this.findById(orderId);
+  if (!order) {
+    throw orderOperationError('ORDER_NOT_FOUND', 'Order not found');
+  }
+
+  if (
+    order.orderStatus === 'Cancelled' ||
+    !['unpaid', 'processing'].includes(order.paymentStatus)
+  ) {
+    throw orderOperationError(
+      'INVALID_TRANSITION',
+      `Cannot confirm payment of an order with payment status ${order.paymentStatus}`,
+    );
+  }
+
+  order.paymentStatus = 'paid';
+  await order.save();
+
+  return order;
+};
+
+/**
+ * Attribue un numéro de facture FAC-YYYY-NNNNNN à une commande payée
+ * Le numéro est attribué une seule fois, dans une transaction avec le
+ * compteur annuel : la numérotation reste continue et sans doublon
+ * @param {string} orderId - ID de la commande
+ * @returns {Promise<Object>} Commande avec invoiceNumber et invoicedAt
+ */
+orderSchema.statics.assignInvoiceNumber = async function (orderId) {
+  const session = await this.startSession();
+  let invoicedOrder = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await this.findById(orderId).session(session);
+      if (!order) {
+        throw orderOperationError('ORDER_NOT_FOUND', 'Order not found');
+      }
+
+      if (!order.invoiceNumber) {
+        const year = new Date().getUTCFullYear();
+        const sequence = await Counter.next(`invoice-${year}`, session);
+
+        order.invoiceNumber = `FAC-${year}-${sequence.toString().padStart(6, '0')}`;
+        order.invoicedAt = Date.now();
+        await order.save({ session });
+      }
+
+      invoicedOrder = order;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return invoicedOrder;
+};
+
 // Méthode statique pour trouver les commandes d'un utilisateur
 orderSchema.statics.findByUser = function (userId, limit = 10, page = 1) {
   const skip = (page - 1) * limit;
@@ -355,9 +503,11 @@ orderSchema.statics.findByUser = function (userId, limit = 10, page = 1) {
 };
 
 // Méthode statique pour trouver les commandes récentes
-orderSchema.statics.findRecent = function (limit = 20) {
-  return this.find()
+orderSchema.statics.findRecent = function (limit = 20, filters = {}, page = 1) {
+  const skip = (page - 1) * limit;
+  return this.find(filters)
     .sort({ createdAt: -1 })
+    .skip(skip)
     .limit(limit)
     .populate('user', 'name email')
     .populate('shippingInfo', 'street city state zipCode country')
@@ -62,6 +62,19 @@ const productSchema = new mongoose.Schema(
       type: Number,
       default: 0,
       min: 0,
+      index: true,
+    },
+    // Note moyenne et nombre d'avis, tenus à jour par le modèle Review
+    ratingAverage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
     isActive: {
       type: Boolean,
@@ -83,16 +96,24 @@ const productSchema = new mongoose.Schema(
   },
 );
 
-// Indexer les champs fréquemment recherchés
-productSchema.index({
-  name: 'text',
-});
+// Index de recherche plein texte (un seul index texte par collection) :
+// le nom pèse davantage que la description. Les anciens index texte
+// (name_text, name_text_category_1_price_1) doivent être supprimés avant
+// sa création : npm run db:migrate-text-index
+productSchema.index(
+  { name: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, description: 2 },
+    default_language: 'french',
+  },
+);
 
 // Si vous filtrez souvent par catégorie ET prix en même temps
 productSchema.index({ category: 1, price: 1 });
 
-// Si vous filtrez souvent par nom, catégorie ET prix en même temps
-productSchema.index({ name: 'text', category: 1, price: 1 });
+// Tri par note (paramètre sort=rating de la liste des produits)
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
 
 // Middleware pre-save pour mettre à jour le champ updatedAt
 productSchema.pre('save', function (next) {
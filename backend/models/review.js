@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import Product from './product';
+
+/**
+ * Avis client sur un produit
+ * Réservé aux clients dont une commande livrée contient le produit ; un avis
+ * par utilisateur et par produit. Product.ratingAverage et ratingCount sont
+ * recalculés à chaque création ou suppression.
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Commande livrée justifiant l'achat
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, 'La note est obligatoire'],
+      min: [1, 'La note minimum est 1'],
+      max: [5, 'La note maximum est 5'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'La note doit être un nombre entier',
+      },
+    },
+    title: {
+      type: String,
+      required: [true, 'Le titre est obligatoire'],
+      trim: true,
+      maxlength: [100, 'Le titre ne peut pas dépasser 100 caractères'],
+    },
+    comment: {
+      type: String,
+      required: [true, 'Le commentaire est obligatoire'],
+      trim: true,
+      maxlength: [500, 'Le commentaire ne peut pas dépasser 500 caractères'],
+    },
+    wouldRecommend: {
+      type: Boolean,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, createdAt: -1 });
+
+/**
+ * Synthèse des notes d'un produit
+ * @param {string} productId - ID du produit
+ * @returns {Promise<{average: number, count: number, distribution: Object}>}
+ *   distribution : nombre d'avis par note (1 à 5)
+ */
+reviewSchema.statics.getSummary = async function (productId) {
+  const groups = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  groups.forEach(({ _id: rating, count: ratingCount }) => {
+    distribution[rating] = ratingCount;
+    count += ratingCount;
+    total += rating * ratingCount;
+  });
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution,
+  };
+};
+
+// Recalcule la note dénormalisée du produit
+reviewSchema.statics.syncProductRating = async function (productId) {
+  const { average, count } = await this.getSummary(productId);
+
+  await Product.updateOne(
+    { _id: productId },
+    { $set: { ratingAverage: average, ratingCount: count } },
+  );
+};
+
+reviewSchema.post('save', async function () {
+  await this.constructor.syncProductRating(this.product);
+});
+
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    await doc.constructor.syncProductRating(doc.product);
+  }
+});
+
+reviewSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Review = mongoose.models.Review || mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { escapeRegex } from '@/backend/utils/escape';
+
+// Requêtes prises en compte pour les suggestions « populaires »
+const POPULAR_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Nombre minimal de recherches avant qu'un terme soit proposé à tous
+const MIN_POPULAR_COUNT = 3;
+
+/**
+ * Recherche effectuée sur le catalogue, agrégée par terme normalisé
+ * Alimente les suggestions de l'autocomplétion
+ */
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+searchQuerySchema.index({ lastSearchedAt: -1, count: -1 });
+
+const normalizeQuery = (value) =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .slice(0, 100);
+
+/**
+ * Comptabilise une recherche
+ * @param {string} keyword - Terme saisi par le visiteur
+ */
+searchQuerySchema.statics.record = function (keyword) {
+  const query = normalizeQuery(keyword);
+  if (!query) return Promise.resolve(null);
+
+  return this.updateOne(
+    { query },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+    { upsert: true },
+  );
+};
+
+/**
+ * Recherches récentes les plus fréquentes commençant par un préfixe, parmi
+ * celles effectuées au moins MIN_POPULAR_COUNT fois
+ * @param {string} prefix - Début de la requête
+ * @param {number} [limit=5]
+ * @returns {Promise<string[]>}
+ */
+searchQuerySchema.statics.findPopular = async function (prefix, limit = 5) {
+  const normalized = escapeRegex(normalizeQuery(prefix));
+  if (!normalized) return [];
+
+  const queries = await this.find({
+    query: { $regex: `^${normalized}` },
+    count: { $gte: MIN_POPULAR_COUNT },
+    lastSearchedAt: { $gte: new Date(Date.now() - POPULAR_WINDOW_MS) },
+  })
+    .sort({ count: -1 })
+    .limit(limit)
+    .select('query')
+    .lean();
+
+  return queries.map(({ query }) => query);
+};
+
+const SearchQuery =
+  mongoose.models.SearchQuery ||
+  mongoose.model('SearchQuery', searchQuerySchema);
+
+export default SearchQuery;
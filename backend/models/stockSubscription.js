@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Demande d'alerte de retour en stock d'un produit
+ * Supprimée dès que l'alerte a été mise en file d'envoi
+ */
+const stockSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Un abonnement par utilisateur et par produit
+stockSubscriptionSchema.index({ user: 1, product: 1 }, { unique: true });
+
+/**
+ * Nombre d'abonnés par produit (administration)
+ * @param {string[]} [productIds] - Restreindre aux produits indiqués
+ * @returns {Promise<Array<{_id: ObjectId, subscribers: number}>>}
+ */
+stockSubscriptionSchema.statics.countByProduct = function (productIds = null) {
+  const match = productIds
+    ? {
+        product: {
+          $in: productIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+        },
+      }
+    : {};
+
+  return this.aggregate([
+    { $match: match },
+    { $group: { _id: '$product', subscribers: { $sum: 1 } } },
+    { $sort: { subscribers: -1 } },
+  ]);
+};
+
+const StockSubscription =
+  mongoose.models.StockSubscription ||
+  mongoose.model('StockSubscription', stockSubscriptionSchema);
+
+export default StockSubscription;
@@ -124,10 +124,16 @@ const userSchema = new mongoose.Schema(
     resetPasswordToken: String,
     resetPasswordExpire: Date,
     verificationToken: String,
+    verificationExpire: Date,
     verified: {
       type: Boolean,
       default: false,
     },
+    // Désinscription des alertes de retour en stock (lien des emails)
+    stockAlertsOptOut: {
+      type: Boolean,
+      default: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -152,6 +158,7 @@ const userSchema = new mongoose.Schema(
         delete ret.resetPasswordToken;
         delete ret.resetPasswordExpire;
         delete ret.verificationToken;
+        delete ret.verificationExpire;
         delete ret.__v;
         return ret;
       },
@@ -336,6 +343,33 @@ userSchema.methods.createPasswordResetToken = async function () {
   }
 };
 
+// Méthode pour générer un token de vérification d'email
+userSchema.methods.createVerificationToken = async function () {
+  try {
+    const verificationToken = require('crypto').randomBytes(32).toString('hex');
+
+    // Stocker uniquement le hash, comme pour la réinitialisation
+    this.verificationToken = require('crypto')
+      .createHash('sha256')
+      .update(verificationToken)
+      .digest('hex');
+
+    // Définir l'expiration à 24 heures
+    this.verificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+    await this.save({ validateBeforeSave: false });
+
+    return verificationToken;
+  } catch (error) {
+    logger.error('Error creating verification token', {
+      userId: this._id,
+      error: error.message,
+    });
+    captureException(error);
+    throw new Error('Failed to generate verification token');
+  }
+};
+
 // Virtualiser le nom complet (exemple de propriété virtuelle)
 userSchema.virtual('fullName').get(function () {
   return this.name;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Nombre maximum de produits enregistrés par utilisateur
+export const WISHLIST_MAX_ITEMS = 100;
+
+/**
+ * Produits enregistrés pour plus tard (liste d'envies)
+ * Une ligne par couple utilisateur/produit, comme le panier
+ */
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Prix au moment de l'enregistrement, pour signaler une baisse
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'Le prix ne peut pas être négatif'],
+    },
+    productName: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Un produit n'apparaît qu'une fois dans la liste d'un utilisateur
+wishlistSchema.index({ user: 1, product: 1 }, { unique: true });
+wishlistSchema.index({ user: 1, createdAt: -1 });
+
+wishlistSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Wishlist =
+  mongoose.models.Wishlist || mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
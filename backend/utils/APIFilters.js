@@ -1,4 +1,43 @@
 import mongoose from 'mongoose';
+import { escapeRegex } from './escape';
+
+// En dessous de cette longueur, l'index texte (mots entiers, racines) ne
+// trouve rien d'utile : on bascule sur une recherche par préfixe
+const MIN_TEXT_SEARCH_LENGTH = 3;
+
+// Variantes accentuées des lettres, pour un préfixe insensible aux accents
+const ACCENT_VARIANTS = {
+  a: 'aàâä',
+  c: 'cç',
+  e: 'eéèêë',
+  i: 'iîï',
+  o: 'oôö',
+  u: 'uùûü',
+  y: 'yÿ',
+};
+
+// "ete" => "[eéèêë]t[eéèêë]"
+export const toAccentInsensitivePattern = (value) =>
+  [...escapeRegex(value.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))]
+    .map((char) => {
+      const variants = ACCENT_VARIANTS[char.toLowerCase()];
+      return variants ? `[${variants}]` : char;
+    })
+    .join('');
+
+// Tris proposés sur la liste des produits ; _id départage les égalités
+// pour une pagination stable
+const SORT_FIELDS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  best_selling: { sold: -1, _id: 1 },
+  rating: { ratingAverage: -1, ratingCount: -1, _id: 1 },
+};
+
+// Bornes de l'histogramme des prix (facettes) ; la dernière tranche est
+// ouverte
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
 
 class APIFilters {
   constructor(query, queryStr) {
@@ -7,17 +46,52 @@ class APIFilters {
     this.baseQuery = query.clone(); // Sauvegarder la requête de base
   }
 
+  /**
+   * Recherche par mot-clé
+   * Index texte pondéré (nom, description) en français, insensible aux
+   * accents, trié par pertinence sauf tri explicite ; préfixe échappé sur
+   * le nom pour les requêtes courtes
+   */
   search() {
-    const keyword = this.queryStr.get('keyword')
-      ? {
-          name: {
-            $regex: this.queryStr.get('keyword'),
-            $options: 'i',
-          },
-        }
-      : {};
+    const keywordFilter = this.getKeywordFilter();
+    this.query = this.query.find(keywordFilter);
 
-    this.query = this.query.find({ ...keyword });
+    if (keywordFilter.$text && !SORT_FIELDS[this.queryStr.get('sort')]) {
+      this.query = this.query.sort({ score: { $meta: 'textScore' } });
+    }
+    return this;
+  }
+
+  // Condition de recherche par mot-clé, vide sans mot-clé
+  getKeywordFilter() {
+    const keyword = this.queryStr.get('keyword')?.trim();
+    if (!keyword) return {};
+
+    if (keyword.length < MIN_TEXT_SEARCH_LENGTH) {
+      return {
+        name: {
+          $regex: `(?:^|\\s)${toAccentInsensitivePattern(keyword)}`,
+          $options: 'i',
+        },
+      };
+    }
+
+    return {
+      $text: {
+        $search: keyword,
+        $language: 'french',
+        $diacriticSensitive: false,
+      },
+    };
+  }
+
+  // Tri demandé (paramètre sort), sans effet si absent ou inconnu
+  sort() {
+    const sortFields = SORT_FIELDS[this.queryStr.get('sort')];
+
+    if (sortFields) {
+      this.query = this.query.sort(sortFields);
+    }
     return this;
   }
 
@@ -32,6 +106,15 @@ class APIFilters {
   }
 
   filter() {
+    this.query = this.query.find(this.getFieldFilters());
+    return this;
+  }
+
+  /**
+   * Conditions des filtres (catégorie, prix, disponibilité), indexées par
+   * champ pour pouvoir en écarter une lors du calcul des facettes
+   */
+  getFieldFilters() {
     let queryCopy = {};
 
     if (this.queryStr.get('category')) {
@@ -41,9 +124,9 @@ class APIFilters {
       };
     }
 
-    if (this.queryStr.get('price[gt]')) {
+    if (this.queryStr.get('price[gte]')) {
       queryCopy = {
-        'price[gt]': this.queryStr.get('price[gt]'),
+        'price[gte]': this.queryStr.get('price[gte]'),
         ...queryCopy,
       };
     }
@@ -79,13 +162,86 @@ class APIFilters {
           output[prop] = {};
         }
 
-        output[prop][`$${operator}`] = queryCopy[key];
+        // Conversion explicite : l'agrégation des facettes ne caste pas
+        output[prop][`$${operator}`] = Number(queryCopy[key]);
       }
     }
-    // { price: { $gte: 100, $lte: 1000 } }
+    // { price: { $gte: 100, $lt: 1000 } }
 
-    this.query = this.query.find(output);
-    return this;
+    if (this.queryStr.get('inStock') === 'true') {
+      output.stock = { $gt: 0 };
+    }
+
+    return output;
+  }
+
+  /**
+   * Facettes de la recherche en une seule agrégation ($facet) : nombre de
+   * produits par catégorie, par tranche de prix et selon la disponibilité.
+   * Chaque facette applique le mot-clé et les autres filtres actifs, mais
+   * pas le sien, pour que toutes ses options restent comptées.
+   * @returns {Promise<Object>} { categories, prices, availability }
+   */
+  async facets() {
+    const fieldFilters = this.getFieldFilters();
+    const without = (field) =>
+      Object.fromEntries(
+        Object.entries(fieldFilters).filter(([key]) => key !== field),
+      );
+
+    const [result] = await this.baseQuery.model.aggregate([
+      // $text doit figurer dans la première étape du pipeline
+      {
+        $match: { ...this.baseQuery.getFilter(), ...this.getKeywordFilter() },
+      },
+      {
+        $facet: {
+          categories: [
+            { $match: without('category') },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+          ],
+          prices: [
+            { $match: without('price') },
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: PRICE_BUCKETS,
+                default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          availability: [
+            { $match: without('stock') },
+            {
+              $group: {
+                _id: { $gt: ['$stock', 0] },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const countOf = (groups, id) =>
+      groups.find(({ _id }) => _id === id)?.count || 0;
+
+    return {
+      categories: result.categories.map(({ _id, count }) => ({
+        category: _id,
+        count,
+      })),
+      prices: PRICE_BUCKETS.map((min, index) => ({
+        min,
+        max: PRICE_BUCKETS[index + 1] ?? null,
+        count: countOf(result.prices, min),
+      })),
+      availability: {
+        inStock: countOf(result.availability, true),
+        outOfStock: countOf(result.availability, false),
+      },
+    };
   }
 
   pagination(resPerPage) {
@@ -0,0 +1,351 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import Category from '@/backend/models/category';
+import Counter from '@/backend/models/counter';
+import Order from '@/backend/models/order';
+import Product from '@/backend/models/product';
+import {
+  decrementStock,
+  reserveStock,
+  restockItems,
+} from '@/backend/utils/inventory';
+
+let replSet;
+let category;
+let product;
+
+const IMAGE = { public_id: 'products/test', url: 'https://example.com/p.png' };
+
+const createProduct = (overrides = {}) =>
+  Product.create({
+    name: `Produit ${new mongoose.Types.ObjectId()}`,
+    description: 'Produit de test pour le service d’inventaire',
+    price: 20,
+    category: category._id,
+    stock: 5,
+    images: [IMAGE],
+    ...overrides,
+  });
+
+const reload = (doc) => doc.constructor.findById(doc._id).lean();
+
+// Commande de 2 unités du produit, stock déjà décrémenté à la commande
+const createOrder = async (overrides = {}) => {
+  await Product.updateOne({ _id: product._id }, { stock: 3, sold: 2 });
+  await Category.updateOne({ _id: category._id }, { sold: 2 });
+
+  return Order.create({
+    user: new mongoose.Types.ObjectId(),
+    orderItems: [
+      {
+        product: product._id,
+        name: product.name,
+        category: 'Audio',
+        quantity: 2,
+        image: IMAGE.url,
+        price: product.price,
+        subtotal: product.price * 2,
+      },
+    ],
+    paymentInfo: {
+      amountPaid: 40,
+      typePayment: 'WAAFI',
+      paymentAccountNumber: '77000000',
+      paymentAccountName: 'Client Test',
+    },
+    totalAmount: 40,
+    ...overrides,
+  });
+};
+
+// Lignes de commande telles que construites par le webhook
+const orderLines = (reserved) =>
+  reserved.map(({ product: reservedProduct, quantity }) => ({
+    product: reservedProduct._id,
+    name: reservedProduct.name,
+    category: reservedProduct.category.categoryName,
+    quantity,
+    image: IMAGE.url,
+    price: reservedProduct.price,
+    subtotal: reservedProduct.price * quantity,
+  }));
+
+beforeAll(async () => {
+  // Les transactions exigent un jeu de réplicas
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: 'wiredTiger' },
+  });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections créées hors transaction
+  await Promise.all(
+    [Category, Counter, Order, Product].map((Model) =>
+      Model.createCollection(),
+    ),
+  );
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all(
+    [Category, Counter, Order, Product].map((Model) => Model.deleteMany({})),
+  );
+
+  category = await Category.create({ categoryName: 'Audio' });
+  product = await createProduct();
+});
+
+describe('decrementStock', () => {
+  it('décrémente le stock et incrémente les ventes', async () => {
+    const done = await decrementStock({
+      product: product._id,
+      category: category._id,
+      quantity: 2,
+    });
+
+    expect(done).toBe(true);
+    expect(await reload(product)).toMatchObject({ stock: 3, sold: 2 });
+    expect(await reload(category)).toMatchObject({ sold: 2 });
+  });
+
+  it('refuse une quantité supérieure au stock sans rien modifier', async () => {
+    const done = await decrementStock({
+      product: product._id,
+      category: category._id,
+      quantity: 6,
+    });
+
+    expect(done).toBe(false);
+    expect(await reload(product)).toMatchObject({ stock: 5, sold: 0 });
+    expect(await reload(category)).toMatchObject({ sold: 0 });
+  });
+
+  it('refuse un produit désactivé', async () => {
+    await Product.updateOne({ _id: product._id }, { isActive: false });
+
+    const done = await decrementStock({ product: product._id, quantity: 1 });
+
+    expect(done).toBe(false);
+    expect(await reload(product)).toMatchObject({ stock: 5 });
+  });
+});
+
+describe('reserveStock', () => {
+  it('réserve les lignes disponibles et signale les autres', async () => {
+    const scarce = await createProduct({ stock: 1 });
+    const missing = new mongoose.Types.ObjectId();
+
+    const { reserved, unavailable } = await reserveStock([
+      { product: product._id, quantity: 2 },
+      { product: scarce._id, quantity: 3 },
+      { product: missing, quantity: 1 },
+    ]);
+
+    expect(reserved).toHaveLength(1);
+    expect(reserved[0].quantity).toBe(2);
+    expect(unavailable).toEqual([
+      expect.objectContaining({
+        id: scarce._id,
+        reason: 'insufficient_stock',
+        stock: 1,
+        requested: 3,
+      }),
+      expect.objectContaining({ id: missing, reason: 'not_found' }),
+    ]);
+    expect(await reload(product)).toMatchObject({ stock: 3, sold: 2 });
+    expect(await reload(scarce)).toMatchObject({ stock: 1, sold: 0 });
+  });
+
+  it('annule toutes les réservations si la transaction échoue', async () => {
+    const other = await createProduct({ stock: 2 });
+    const session = await mongoose.startSession();
+
+    await expect(
+      session.withTransaction(async () => {
+        const { unavailable } = await reserveStock(
+          [
+            { product: product._id, quantity: 2 },
+            { product: other._id, quantity: 5 },
+          ],
+          session,
+        );
+        if (unavailable.length > 0) throw new Error('STOCK_ERROR');
+      }),
+    ).rejects.toThrow('STOCK_ERROR');
+    await session.endSession();
+
+    expect(await reload(product)).toMatchObject({ stock: 5, sold: 0 });
+    expect(await reload(other)).toMatchObject({ stock: 2, sold: 0 });
+    expect(await reload(category)).toMatchObject({ sold: 0 });
+  });
+
+  it("ne décrémente pas une seconde fois à l'enregistrement de la commande", async () => {
+    const session = await mongoose.startSession();
+
+    await session.withTransaction(async () => {
+      const { reserved } = await reserveStock(
+        [{ product: product._id, quantity: 2 }],
+        session,
+      );
+
+      await Order.create(
+        [
+          {
+            user: new mongoose.Types.ObjectId(),
+            orderItems: orderLines(reserved),
+            paymentInfo: {
+              amountPaid: 40,
+              typePayment: 'WAAFI',
+              paymentAccountNumber: '77000000',
+              paymentAccountName: 'Client Test',
+            },
+            totalAmount: 40,
+          },
+        ],
+        { session },
+      );
+    });
+    await session.endSession();
+
+    expect(await Order.countDocuments()).toBe(1);
+    expect(await reload(product)).toMatchObject({ stock: 3, sold: 2 });
+    expect(await reload(category)).toMatchObject({ sold: 2 });
+  });
+});
+
+describe('restockItems', () => {
+  it('remet le stock et retire les ventes sans descendre sous zéro', async () => {
+    await Product.updateOne({ _id: product._id }, { stock: 0, sold: 1 });
+    await Category.updateOne({ _id: category._id }, { sold: 1 });
+
+    await restockItems([
+      { product: product._id, category: 'Audio', quantity: 3 },
+    ]);
+
+    expect(await reload(product)).toMatchObject({ stock: 3, sold: 0 });
+    expect(await reload(category)).toMatchObject({ sold: 0 });
+  });
+
+  it('utilise la catégorie enregistrée sur la ligne de commande', async () => {
+    const video = await Category.create({ categoryName: 'Vidéo', sold: 4 });
+    await Category.updateOne({ _id: category._id }, { sold: 4 });
+
+    // Le produit a changé de catégorie depuis la commande
+    await Product.updateOne({ _id: product._id }, { category: video._id });
+
+    await restockItems([
+      { product: product._id, category: 'Audio', quantity: 2 },
+    ]);
+
+    expect(await reload(category)).toMatchObject({ sold: 2 });
+    expect(await reload(video)).toMatchObject({ sold: 4 });
+  });
+
+  it('est annulé avec la transaction appelante', async () => {
+    const session = await mongoose.startSession();
+
+    await expect(
+      session.withTransaction(async () => {
+        await restockItems(
+          [{ product: product._id, category: 'Audio', quantity: 2 }],
+          session,
+        );
+        throw new Error('ROLLBACK');
+      }),
+    ).rejects.toThrow('ROLLBACK');
+    await session.endSession();
+
+    expect(await reload(product)).toMatchObject({ stock: 5 });
+  });
+});
+
+describe('Order.cancelOrder', () => {
+  it('annule la commande et remet ses articles en stock', async () => {
+    const order = await createOrder();
+
+    const cancelled = await Order.cancelOrder(order._id, {
+      reason: 'Client injoignable',
+    });
+
+    expect(cancelled.orderStatus).toBe('Cancelled');
+    expect(cancelled.restockedAt).toBeInstanceOf(Date);
+    expect(await reload(product)).toMatchObject({ stock: 5, sold: 0 });
+    expect(await reload(category)).toMatchObject({ sold: 0 });
+  });
+
+  it('refuse une seconde annulation sans remettre en stock', async () => {
+    const order = await createOrder();
+    await Order.cancelOrder(order._id, { reason: 'Doublon' });
+
+    await expect(
+      Order.cancelOrder(order._id, { reason: 'Doublon' }),
+    ).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+
+    expect(await reload(product)).toMatchObject({ stock: 5, sold: 0 });
+  });
+
+  it('ne fait pas descendre les ventes sous zéro', async () => {
+    const order = await createOrder();
+    await Product.updateOne({ _id: product._id }, { sold: 1 });
+    await Category.updateOne({ _id: category._id }, { sold: 1 });
+
+    await Order.cancelOrder(order._id, { reason: 'Rupture' });
+
+    expect(await reload(product)).toMatchObject({ stock: 5, sold: 0 });
+    expect(await reload(category)).toMatchObject({ sold: 0 });
+  });
+
+  it("ne modifie rien si la commande n'appartient pas à l'utilisateur", async () => {
+    const order = await createOrder();
+
+    await expect(
+      Order.cancelOrder(order._id, {
+        reason: 'Erreur',
+        userId: new mongoose.Types.ObjectId(),
+      }),
+    ).rejects.toMatchObject({ code: 'ORDER_NOT_FOUND' });
+
+    expect(await reload(product)).toMatchObject({ stock: 3, sold: 2 });
+    expect(await reload(order)).toMatchObject({ orderStatus: 'Processing' });
+  });
+});
+
+describe('Order.refundOrder', () => {
+  it('rembourse une commande payée et remet ses articles en stock', async () => {
+    const order = await createOrder({ paymentStatus: 'paid' });
+
+    const refunded = await Order.refundOrder(order._id);
+
+    expect(refunded.paymentStatus).toBe('refunded');
+    expect(await reload(product)).toMatchObject({ stock: 5, sold: 0 });
+    expect(await reload(category)).toMatchObject({ sold: 0 });
+  });
+
+  it('refuse un second remboursement sans remettre en stock', async () => {
+    const order = await createOrder({ paymentStatus: 'paid' });
+    await Order.refundOrder(order._id);
+
+    await expect(Order.refundOrder(order._id)).rejects.toMatchObject({
+      code: 'INVALID_TRANSITION',
+    });
+
+    expect(await reload(product)).toMatchObject({ stock: 5, sold: 0 });
+  });
+
+  it('ne remet pas en stock une commande déjà annulée', async () => {
+    const order = await createOrder({ paymentStatus: 'paid' });
+    await Order.cancelOrder(order._id, { reason: 'Annulation client' });
+    // Nouvelle vente du produit entre l'annulation et le remboursement
+    await Product.updateOne({ _id: product._id }, { stock: 4, sold: 1 });
+
+    const refunded = await Order.refundOrder(order._id);
+
+    expect(refunded.paymentStatus).toBe('refunded');
+    expect(await reload(product)).toMatchObject({ stock: 4, sold: 1 });
+  });
+});
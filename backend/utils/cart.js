@@ -0,0 +1,71 @@
+// Champs produit nécessaires au formatage du panier
+export const CART_PRODUCT_FIELDS = 'name price stock images isActive';
+
+// Raison du retrait d'une ligne devenue indisponible
+const getRemovalReason = (product) => {
+  if (!product || !product.isActive) return 'unavailable';
+  if (product.stock < 1) return 'out_of_stock';
+  return null;
+};
+
+/**
+ * Formate les lignes du panier à partir des produits populés
+ * Le prix et le nom enregistrés à l'ajout (Cart.price, Cart.productName)
+ * servent de référence pour signaler les changements intervenus depuis :
+ * prix modifié, quantité ramenée au stock, produit retiré de la vente
+ * @param {Object[]} cartItems - Lignes Cart avec `product` populé (CART_PRODUCT_FIELDS)
+ * @returns {{cart: Object[], cartCount: number, cartTotal: number, changes: Object}}
+ */
+export const formatCartItems = (cartItems) => {
+  const cart = [];
+  const removed = [];
+
+  cartItems.forEach((item) => {
+    const reason = getRemovalReason(item.product);
+    if (reason) {
+      removed.push({
+        id: item._id,
+        productName: item.product?.name || item.productName,
+        reason,
+      });
+      return;
+    }
+
+    const { product } = item;
+    const quantity = Math.min(item.quantity, product.stock);
+
+    cart.push({
+      id: item._id,
+      productId: product._id,
+      productName: product.name,
+      price: product.price,
+      quantity,
+      stock: product.stock,
+      subtotal: quantity * product.price,
+      imageUrl: product.images?.[0]?.url || '',
+      priceChange:
+        item.price !== product.price
+          ? {
+              previousPrice: item.price,
+              direction: product.price > item.price ? 'up' : 'down',
+            }
+          : null,
+      quantityAdjusted:
+        quantity < item.quantity ? { requested: item.quantity } : null,
+    });
+  });
+
+  const cartTotal = cart.reduce((sum, item) => sum + item.subtotal, 0);
+
+  return {
+    cart,
+    cartCount: cart.length,
+    cartTotal,
+    changes: {
+      hasChanges:
+        removed.length > 0 ||
+        cart.some((item) => item.priceChange || item.quantityAdjusted),
+      removed,
+    },
+  };
+};
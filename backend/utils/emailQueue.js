@@ -0,0 +1,142 @@
+import { after } from 'next/server';
+import EmailOutbox from '@/backend/models/emailOutbox';
+import Contact from '@/backend/models/contact';
+import { captureException } from '@/monitoring/sentry';
+import logger from '@/utils/logger';
+import { sendEmail } from './mailer';
+
+// Nombre maximal d'emails traités par passage du worker
+const DEFAULT_BATCH_SIZE = 20;
+
+// Répercute l'état de livraison sur le message de contact d'origine
+const updateContactStatus = async (entry, status) => {
+  if (!entry.contact) return;
+  await Contact.updateOne({ _id: entry.contact }, { $set: { status } });
+};
+
+/**
+ * Envoie un email réservé par le worker et enregistre le résultat
+ * @param {Object} entry - Document EmailOutbox au statut processing
+ * @returns {Promise<'sent'|'retry'|'dead'>}
+ */
+const deliver = async (entry) => {
+  await updateContactStatus(entry, 'processing');
+
+  let info;
+  try {
+    info = await sendEmail({
+      ...(entry.from?.address && { from: entry.from }),
+      to: entry.to,
+      replyTo: entry.replyTo,
+      inReplyTo: entry.inReplyTo,
+      references: entry.references,
+      subject: entry.subject,
+      html: entry.html,
+      text: entry.text,
+      priority: entry.priority,
+    });
+  } catch (error) {
+    await entry.markFailed(error);
+
+    if (entry.status === 'dead') {
+      logger.error('Email moved to dead-letter', {
+        id: entry._id.toString(),
+        category: entry.category,
+        attempts: entry.attempts,
+        error: entry.lastError,
+      });
+
+      captureException(error, {
+        tags: { component: 'emailQueue', action: 'dead-letter' },
+        extra: { outboxId: entry._id.toString(), category: entry.category },
+      });
+
+      await updateContactStatus(entry, 'error');
+      return 'dead';
+    }
+
+    logger.warn('Email delivery failed, retry scheduled', {
+      id: entry._id.toString(),
+      attempts: entry.attempts,
+      nextAttemptAt: entry.nextAttemptAt,
+      error: entry.lastError,
+    });
+
+    await updateContactStatus(entry, 'pending');
+    return 'retry';
+  }
+
+  await entry.markSent(info.messageId);
+  await updateContactStatus(entry, 'sent');
+
+  return 'sent';
+};
+
+/**
+ * Worker : envoie les emails en attente dont l'échéance est passée
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Nombre maximal d'emails traités
+ * @param {string[]} [options.ids] - Restreindre aux emails indiqués
+ * @returns {Promise<{sent: number, retry: number, dead: number}>}
+ */
+export const processOutbox = async ({
+  limit = DEFAULT_BATCH_SIZE,
+  ids = null,
+} = {}) => {
+  const summary = { sent: 0, retry: 0, dead: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const entry = await EmailOutbox.claimNext(ids);
+    if (!entry) break;
+
+    summary[await deliver(entry)]++;
+  }
+
+  return summary;
+};
+
+/**
+ * Enregistre un email dans la file d'envoi
+ * Dans une requête, l'envoi est tenté juste après la réponse ; en cas
+ * d'échec, le worker prend le relais avec backoff
+ * @param {Object} mailOptions - to, subject, html, text, from?, replyTo?,
+ *   inReplyTo?, references?, priority?
+ * @param {Object} [options]
+ * @param {string} [options.category] - Origine du message
+ * @param {string} [options.contact] - Message de contact associé
+ * @returns {Promise<Object>} Document EmailOutbox créé
+ */
+export const enqueueEmail = async (
+  { to, from, replyTo, inReplyTo, references, subject, html, text, priority },
+  { category, contact } = {},
+) => {
+  const entry = await EmailOutbox.create({
+    to,
+    from,
+    replyTo,
+    inReplyTo,
+    references,
+    subject,
+    html,
+    text,
+    priority,
+    category,
+    contact,
+  });
+
+  try {
+    after(() =>
+      processOutbox({ ids: [entry._id], limit: 1 }).catch((error) => {
+        logger.error('Immediate email delivery failed', {
+          id: entry._id.toString(),
+          error: error.message,
+        });
+      }),
+    );
+  } catch {
+    // Hors d'une requête (script, worker) : le prochain passage du worker
+    // enverra l'email
+  }
+
+  return entry;
+};
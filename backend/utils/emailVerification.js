@@ -0,0 +1,61 @@
+import { enqueueEmail } from './emailQueue';
+import { escapeHtml } from './escape';
+import { SITE_URL } from './mailer';
+
+// Politiques possibles pour les comptes dont l'email n'est pas vérifié :
+// - allow    : aucune restriction (comportement historique)
+// - restrict : connexion autorisée, mais commande refusée
+// - block    : connexion refusée
+const POLICIES = ['allow', 'restrict', 'block'];
+
+export const UNVERIFIED_ACCOUNT_POLICY = POLICIES.includes(
+  process.env.UNVERIFIED_ACCOUNT_POLICY,
+)
+  ? process.env.UNVERIFIED_ACCOUNT_POLICY
+  : 'allow';
+
+/**
+ * Indique si l'utilisateur peut se connecter selon la politique active
+ * @param {Object} user - Document utilisateur (doit contenir `verified`)
+ */
+export const canSignIn = (user) =>
+  UNVERIFIED_ACCOUNT_POLICY !== 'block' || !!user?.verified;
+
+/**
+ * Indique si l'utilisateur peut passer commande selon la politique active
+ * @param {Object} user - Document utilisateur (doit contenir `verified`)
+ */
+export const canPlaceOrder = (user) =>
+  UNVERIFIED_ACCOUNT_POLICY === 'allow' || !!user?.verified;
+
+/**
+ * Met en file d'envoi l'email contenant le lien de vérification
+ * @param {Object} user - Destinataire (name, email)
+ * @param {string} token - Token en clair retourné par createVerificationToken()
+ * @returns {Promise<Object>} Document EmailOutbox créé
+ */
+export const sendVerificationEmail = async (user, token) => {
+  const verifyUrl = `${SITE_URL}/api/auth/verify/${token}`;
+
+  return enqueueEmail(
+    {
+      to: user.email,
+      subject: 'Confirmez votre adresse email',
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Bienvenue sur BuyItNow</h2>
+        <p>Bonjour ${escapeHtml(user.name)},</p>
+        <p>Merci pour votre inscription. Confirmez votre adresse email en cliquant sur le lien ci-dessous :</p>
+        <p><a href="${verifyUrl}">${verifyUrl}</a></p>
+        <p>Ce lien expire dans 24 heures.</p>
+        <hr style="border: 1px solid #eee;">
+        <p style="font-size: 12px; color: #666;">
+          Si vous n'avez pas créé de compte, ignorez cet email.
+        </p>
+      </div>
+    `,
+      text: `Bonjour ${user.name},\n\nConfirmez votre adresse email en ouvrant ce lien (valable 24 heures) :\n${verifyUrl}\n\nSi vous n'avez pas créé de compte, ignorez cet email.`,
+    },
+    { category: 'verification' },
+  );
+};
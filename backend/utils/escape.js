@@ -0,0 +1,20 @@
+/**
+ * Échappe une valeur avant insertion dans du HTML (emails, factures)
+ * @param {*} value - Valeur à insérer, null et undefined donnent ''
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Échappe les caractères spéciaux d'une saisie utilisée dans une RegExp
+ * @param {string} value - Saisie à rechercher littéralement
+ * @returns {string}
+ */
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,172 @@
+import Product from '@/backend/models/product';
+import Category from '@/backend/models/category';
+
+/**
+ * Service d'inventaire
+ * Seul point d'écriture de Product.stock, Product.sold et Category.sold :
+ * création de commande (réservation), annulation et remboursement (restock),
+ * correction manuelle depuis le back-office.
+ * Toutes les fonctions acceptent la session de la transaction appelante.
+ */
+
+const PRODUCT_FIELDS = 'name stock price images category isActive';
+
+/**
+ * Décrémente le stock d'un produit si la quantité est disponible
+ * La condition sur le stock rend l'opération sûre face aux commandes
+ * concurrentes
+ * @returns {Promise<boolean>} false si le stock était insuffisant
+ */
+export const decrementStock = async (
+  { product, category, quantity },
+  session = null,
+) => {
+  const result = await Product.updateOne(
+    { _id: product, isActive: true, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity, sold: quantity } },
+    { session },
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  if (category) {
+    await Category.updateOne(
+      { _id: category },
+      { $inc: { sold: quantity } },
+      { session },
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Vérifie et réserve le stock de chaque ligne de commande
+ * @param {Array<{product: string, quantity: number}>} items - Lignes demandées
+ * @param {ClientSession} [session] - Session de la transaction
+ * @returns {Promise<{reserved: Array, unavailable: Array}>} Produits réservés
+ *   (document produit + quantité) et produits indisponibles
+ */
+export const reserveStock = async (items, session = null) => {
+  const reserved = [];
+  const unavailable = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product)
+      .select(PRODUCT_FIELDS)
+      .populate('category', 'categoryName')
+      .session(session);
+
+    if (!product || !product.isActive) {
+      unavailable.push({
+        id: item.product,
+        name: product?.name || 'Product not found',
+        reason: 'not_found',
+      });
+      continue;
+    }
+
+    const decremented =
+      product.stock >= item.quantity &&
+      (await decrementStock(
+        {
+          product: product._id,
+          category: product.category?._id,
+          quantity: item.quantity,
+        },
+        session,
+      ));
+
+    if (!decremented) {
+      unavailable.push({
+        id: product._id,
+        name: product.name,
+        stock: product.stock,
+        requested: item.quantity,
+        reason: 'insufficient_stock',
+      });
+      continue;
+    }
+
+    reserved.push({ product, quantity: item.quantity, item });
+  }
+
+  return { reserved, unavailable };
+};
+
+/**
+ * Fixe le stock d'un produit (correction d'inventaire en back-office)
+ * @param {string} productId - ID du produit
+ * @param {number} stock - Nouveau stock
+ * @param {ClientSession} [session] - Session de la transaction
+ * @returns {Promise<number|null>} Stock enregistré, null si produit introuvable
+ */
+export const setStock = async (productId, stock, session = null) => {
+  const product = await Product.findOneAndUpdate(
+    { _id: productId },
+    { $set: { stock, updatedAt: Date.now() } },
+    { new: true, runValidators: true, session },
+  )
+    .select('stock')
+    .lean();
+
+  return product ? product.stock : null;
+};
+
+/**
+ * Remet en stock les articles d'une commande (annulation, remboursement)
+ * Les ventes sont retirées de la catégorie enregistrée sur la ligne de
+ * commande, même si le produit a changé de catégorie depuis.
+ * `sold` ne descend jamais sous zéro
+ * @param {Array<{product: string, category: string, quantity: number}>} items
+ *   - Lignes de commande (category : nom de la catégorie à la commande)
+ * @param {ClientSession} [session] - Session de la transaction
+ */
+export const restockItems = async (items, session = null) => {
+  if (!items?.length) return;
+
+  const decrementSold = (quantity) => ({
+    $max: [0, { $subtract: ['$sold', quantity] }],
+  });
+
+  await Product.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: { _id: item.product },
+        update: [
+          {
+            $set: {
+              stock: { $add: ['$stock', item.quantity] },
+              sold: decrementSold(item.quantity),
+            },
+          },
+        ],
+      },
+    })),
+    { session },
+  );
+
+  // Regrouper les quantités par catégorie
+  const quantityByCategory = new Map();
+  items.forEach((item) => {
+    if (!item.category) return;
+    quantityByCategory.set(
+      item.category,
+      (quantityByCategory.get(item.category) || 0) + item.quantity,
+    );
+  });
+
+  if (quantityByCategory.size > 0) {
+    await Category.bulkWrite(
+      [...quantityByCategory].map(([categoryName, quantity]) => ({
+        updateOne: {
+          filter: { categoryName },
+          update: [{ $set: { sold: decrementSold(quantity) } }],
+        },
+      })),
+      { session },
+    );
+  }
+};
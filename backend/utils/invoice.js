@@ -0,0 +1,305 @@
+import {
+  getPlatformName,
+  validateSimpleInvoice,
+} from '@/helpers/validation/schemas/payment';
+import { formatPrice } from '@/helpers/helpers';
+import { createPdfDocument, PAGE_HEIGHT } from './pdf';
+import { escapeHtml } from './escape';
+import { SITE_URL } from './mailer';
+
+// Devise des prix du catalogue (cf. formatPrice)
+const INVOICE_CURRENCY = 'USD';
+
+const SELLER = {
+  name: 'BuyItNow',
+  country: 'Djibouti',
+  website: SITE_URL,
+};
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('fr-FR', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      })
+    : '-';
+
+/**
+ * Construit les données d'une facture à partir d'une commande
+ * Le montant est contrôlé par simpleInvoiceSchema ; les taxes et frais
+ * affichés sont ceux réellement facturés sur la commande
+ * @param {Object} order - Commande (toJSON, numéro de compte déjà masqué)
+ * @param {Object} customer - Client (name, email, phone)
+ * @returns {Promise<{isValid: boolean, invoice?: Object, errors?: Object}>}
+ */
+export const buildInvoice = async (order, customer) => {
+  const validation = await validateSimpleInvoice({
+    amount: order.totalAmount,
+    currency: INVOICE_CURRENCY,
+    description: `Commande ${order.orderNumber}`,
+  });
+
+  if (!validation.isValid) {
+    return { isValid: false, errors: validation.errors };
+  }
+
+  const lines = order.orderItems.map((item) => ({
+    name: item.name,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    total: item.subtotal || item.price * item.quantity,
+  }));
+
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+
+  return {
+    isValid: true,
+    invoice: {
+      number: order.invoiceNumber,
+      issuedAt: order.invoicedAt,
+      orderNumber: order.orderNumber,
+      orderDate: order.createdAt,
+      paidAt: order.paidAt || order.paymentInfo?.paymentDate,
+      currency: validation.data.currency,
+      description: validation.data.description,
+      seller: SELLER,
+      customer: {
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        address: order.shippingInfo || null,
+      },
+      payment: {
+        method: order.paymentInfo?.typePayment
+          ? getPlatformName(order.paymentInfo.typePayment.toLowerCase())
+          : '-',
+        accountName: order.paymentInfo?.paymentAccountName || '-',
+        accountNumber: order.paymentInfo?.paymentAccountNumber || '-',
+      },
+      lines,
+      subtotal: Math.round(subtotal * 100) / 100,
+      shippingAmount: order.shippingAmount || 0,
+      taxAmount: order.taxAmount || 0,
+      total: validation.data.amount,
+    },
+  };
+};
+
+const formatAddress = (address) =>
+  address
+    ? [
+        address.street,
+        [address.zipCode, address.city].filter(Boolean).join(' '),
+        address.state,
+        address.country,
+      ].filter(Boolean)
+    : [];
+
+/**
+ * Rendu HTML imprimable d'une facture
+ * @param {Object} invoice - Données issues de buildInvoice
+ * @returns {string}
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const rows = invoice.lines
+    .map(
+      (line) => `
+        <tr>
+          <td>${escapeHtml(line.name)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${formatPrice(line.unitPrice)}</td>
+          <td class="num">${formatPrice(line.total)}</td>
+        </tr>`,
+    )
+    .join('');
+
+  const address = formatAddress(invoice.customer.address)
+    .map((part) => `${escapeHtml(part)}<br>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <title>Facture ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1f2937; max-width: 800px; margin: 32px auto; padding: 0 16px; }
+    header { display: flex; justify-content: space-between; margin-bottom: 32px; }
+    h1 { margin: 0; color: #1d4ed8; }
+    table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+    th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .grand-total td { font-weight: bold; font-size: 1.1em; border-top: 2px solid #1f2937; }
+    .muted { color: #6b7280; font-size: 0.9em; }
+    @media print { .no-print { display: none; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHtml(invoice.seller.name)}</h1>
+      <p class="muted">${escapeHtml(invoice.seller.country)}<br>${escapeHtml(invoice.seller.website)}</p>
+    </div>
+    <div class="num">
+      <h2>Facture ${escapeHtml(invoice.number)}</h2>
+      <p class="muted">
+        Émise le ${formatDate(invoice.issuedAt)}<br>
+        Commande ${escapeHtml(invoice.orderNumber)} du ${formatDate(invoice.orderDate)}<br>
+        Payée le ${formatDate(invoice.paidAt)}
+      </p>
+    </div>
+  </header>
+
+  <section>
+    <strong>Facturé à</strong><br>
+    ${escapeHtml(invoice.customer.name)}<br>
+    ${escapeHtml(invoice.customer.email)}<br>
+    ${invoice.customer.phone ? `${escapeHtml(invoice.customer.phone)}<br>` : ''}
+    ${address}
+  </section>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Article</th>
+        <th class="num">Qté</th>
+        <th class="num">Prix unitaire</th>
+        <th class="num">Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr class="totals"><td colspan="3" class="num">Sous-total</td><td class="num">${formatPrice(invoice.subtotal)}</td></tr>
+      <tr class="totals"><td colspan="3" class="num">Livraison</td><td class="num">${formatPrice(invoice.shippingAmount)}</td></tr>
+      <tr class="totals"><td colspan="3" class="num">Taxes</td><td class="num">${formatPrice(invoice.taxAmount)}</td></tr>
+      <tr class="grand-total"><td colspan="3" class="num">Total payé (${escapeHtml(invoice.currency)})</td><td class="num">${formatPrice(invoice.total)}</td></tr>
+    </tfoot>
+  </table>
+
+  <section>
+    <strong>Paiement</strong><br>
+    ${escapeHtml(invoice.payment.method)} — ${escapeHtml(invoice.payment.accountName)} (${escapeHtml(invoice.payment.accountNumber)})
+  </section>
+
+  <p class="no-print" style="margin-top: 32px;">
+    <button onclick="window.print()">Imprimer</button>
+  </p>
+</body>
+</html>`;
+};
+
+/**
+ * Rendu PDF d'une facture
+ * @param {Object} invoice - Données issues de buildInvoice
+ * @returns {Buffer}
+ */
+export const renderInvoicePdf = (invoice) => {
+  const doc = createPdfDocument();
+  const left = 50;
+  const right = 545;
+  const columns = { quantity: 360, unitPrice: 455, total: right };
+  let y = 60;
+
+  doc.text(left, y, invoice.seller.name, { size: 20, bold: true });
+  doc.text(right, y, `Facture ${invoice.number}`, {
+    size: 14,
+    bold: true,
+    align: 'right',
+  });
+  y += 18;
+  doc.text(left, y, invoice.seller.country, { size: 9 });
+  doc.text(right, y, `Émise le ${formatDate(invoice.issuedAt)}`, {
+    size: 9,
+    align: 'right',
+  });
+  y += 12;
+  doc.text(left, y, invoice.seller.website, { size: 9 });
+  doc.text(
+    right,
+    y,
+    `Commande ${invoice.orderNumber} du ${formatDate(invoice.orderDate)}`,
+    { size: 9, align: 'right' },
+  );
+  y += 12;
+  doc.text(right, y, `Payée le ${formatDate(invoice.paidAt)}`, {
+    size: 9,
+    align: 'right',
+  });
+
+  y += 36;
+  doc.text(left, y, 'Facturé à', { bold: true });
+  [
+    invoice.customer.name,
+    invoice.customer.email,
+    invoice.customer.phone,
+    ...formatAddress(invoice.customer.address),
+  ]
+    .filter(Boolean)
+    .forEach((part) => {
+      y += 14;
+      doc.text(left, y, part);
+    });
+
+  // En-tête du tableau
+  y += 36;
+  doc.text(left, y, 'Article', { bold: true });
+  doc.text(columns.quantity, y, 'Qté', { bold: true, align: 'right' });
+  doc.text(columns.unitPrice, y, 'Prix unitaire', {
+    bold: true,
+    align: 'right',
+  });
+  doc.text(columns.total, y, 'Total', { bold: true, align: 'right' });
+  y += 6;
+  doc.line(left, y, right, y);
+
+  invoice.lines.forEach((line) => {
+    y += 18;
+    if (y > PAGE_HEIGHT - 120) {
+      doc.addPage();
+      y = 60;
+    }
+    doc.text(left, y, line.name.substring(0, 50));
+    doc.text(columns.quantity, y, String(line.quantity), { align: 'right' });
+    doc.text(columns.unitPrice, y, formatPrice(line.unitPrice), {
+      align: 'right',
+    });
+    doc.text(columns.total, y, formatPrice(line.total), { align: 'right' });
+  });
+
+  y += 10;
+  doc.line(left, y, right, y);
+
+  [
+    ['Sous-total', invoice.subtotal],
+    ['Livraison', invoice.shippingAmount],
+    ['Taxes', invoice.taxAmount],
+  ].forEach(([label, amount]) => {
+    y += 16;
+    doc.text(columns.unitPrice, y, label, { align: 'right' });
+    doc.text(columns.total, y, formatPrice(amount), { align: 'right' });
+  });
+
+  y += 20;
+  doc.text(columns.unitPrice, y, `Total payé (${invoice.currency})`, {
+    bold: true,
+    align: 'right',
+  });
+  doc.text(columns.total, y, formatPrice(invoice.total), {
+    bold: true,
+    align: 'right',
+  });
+
+  y += 40;
+  doc.text(left, y, 'Paiement', { bold: true });
+  y += 14;
+  doc.text(
+    left,
+    y,
+    `${invoice.payment.method} - ${invoice.payment.accountName} (${invoice.payment.accountNumber})`,
+  );
+
+  return doc.toBuffer();
+};
@@ -0,0 +1,84 @@
+import nodemailer from 'nodemailer';
+import logger from '@/utils/logger';
+
+// URL publique du site, utilisée pour construire les liens dans les emails
+export const SITE_URL =
+  process.env.NEXT_PUBLIC_SITE_URL ||
+  'https://buyitnow-client-n15-prv1.vercel.app';
+
+// Transporteur partagé, créé à la première utilisation
+let transporter = null;
+
+/**
+ * Configuration SMTP
+ * Par défaut Gmail avec le compte NODEMAILER_* ; SMTP_HOST permet de pointer
+ * vers un autre serveur (ex: MailHog en local : SMTP_HOST=localhost,
+ * SMTP_PORT=1025, SMTP_SECURE=false, sans identifiants)
+ */
+const getSmtpConfig = () => {
+  if (!process.env.SMTP_HOST) {
+    return {
+      host: 'smtp.gmail.com',
+      port: 465,
+      secure: true,
+      auth: {
+        user: process.env.NODEMAILER_EMAIL_ACCOUNT,
+        pass: process.env.NODEMAILER_PASSWORD_ACCOUNT,
+      },
+    };
+  }
+
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  const user = process.env.SMTP_USER;
+
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === 'true'
+      : port === 465,
+    ...(user && {
+      auth: { user, pass: process.env.SMTP_PASSWORD },
+    }),
+  };
+};
+
+// Adresse d'expédition par défaut
+const getDefaultSender = () => ({
+  name: process.env.MAIL_FROM_NAME || 'BuyItNow',
+  address:
+    process.env.MAIL_FROM_ADDRESS || process.env.NODEMAILER_EMAIL_ACCOUNT,
+});
+
+/**
+ * Retourne le transporteur SMTP partagé par toutes les routes
+ * @returns {import('nodemailer').Transporter}
+ */
+export const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport(getSmtpConfig());
+  }
+
+  return transporter;
+};
+
+/**
+ * Envoie un email avec l'expéditeur par défaut de la boutique
+ * @param {Object} mailOptions - Options nodemailer (to, subject, html, text...)
+ * @returns {Promise<Object>} Résultat de nodemailer
+ */
+export const sendEmail = async (mailOptions) => {
+  const info = await getTransporter().sendMail({
+    from: getDefaultSender(),
+    ...mailOptions,
+  });
+
+  logger.info('Email sent', {
+    messageId: info.messageId,
+    subject: mailOptions.subject,
+  });
+
+  return info;
+};
+
+export default sendEmail;
@@ -0,0 +1,167 @@
+import Address from '@/backend/models/address';
+import Cart from '@/backend/models/cart';
+import Order from '@/backend/models/order';
+import StockSubscription from '@/backend/models/stockSubscription';
+import User from '@/backend/models/user';
+import Wishlist from '@/backend/models/wishlist';
+import logger from '@/utils/logger';
+import { enqueueEmail } from './emailQueue';
+import { escapeHtml } from './escape';
+import { SITE_URL } from './mailer';
+
+// Comptes non vérifiés conservés 30 jours après l'inscription
+const UNVERIFIED_USER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Rappel envoyé lorsque des articles expirent dans les prochaines 24 heures
+const CART_REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Lignes de panier arrivées à expiration (cf. Cart.expiresAt)
+const purgeExpiredCartItems = async () => {
+  const { deletedCount } = await Cart.removeExpiredItems();
+  return deletedCount;
+};
+
+/**
+ * Comptes jamais vérifiés et plus anciens que UNVERIFIED_USER_TTL_MS
+ * Seuls les comptes ayant reçu un lien de vérification sont concernés : ceux
+ * créés avant la vérification d'email ont verified: false sans jeton et
+ * restent actifs. Les comptes ayant passé une commande sont conservés pour
+ * l'historique
+ */
+const purgeStaleUnverifiedUsers = async (now) => {
+  const candidates = await User.find({
+    verified: false,
+    verificationToken: { $exists: true },
+    role: { $ne: 'admin' },
+    createdAt: { $lt: new Date(now.getTime() - UNVERIFIED_USER_TTL_MS) },
+  })
+    .select('_id')
+    .lean();
+
+  if (candidates.length === 0) return 0;
+
+  const withOrders = await Order.distinct('user', {
+    user: { $in: candidates.map(({ _id }) => _id) },
+  });
+  const keep = new Set(withOrders.map(String));
+  const ids = candidates
+    .map(({ _id }) => _id)
+    .filter((id) => !keep.has(String(id)));
+
+  if (ids.length === 0) return 0;
+
+  await Promise.all([
+    Cart.deleteMany({ user: { $in: ids } }),
+    Address.deleteMany({ user: { $in: ids } }),
+    StockSubscription.deleteMany({ user: { $in: ids } }),
+    Wishlist.deleteMany({ user: { $in: ids } }),
+  ]);
+  const { deletedCount } = await User.deleteMany({ _id: { $in: ids } });
+
+  return deletedCount;
+};
+
+// Jetons de réinitialisation de mot de passe expirés
+const clearExpiredResetTokens = async (now) => {
+  const { modifiedCount } = await User.updateMany(
+    { resetPasswordExpire: { $lt: now } },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } },
+  );
+  return modifiedCount;
+};
+
+const buildCartReminderEmail = (user, items) => {
+  const names = items.map((item) => item.productName);
+  const greeting = user.name ? `Bonjour ${user.name},` : 'Bonjour,';
+  const cartUrl = `${SITE_URL}/cart`;
+
+  return {
+    subject: 'Votre panier expire bientôt',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Votre panier expire bientôt</h2>
+        <p>${escapeHtml(greeting)}</p>
+        <p>Les articles suivants seront retirés de votre panier dans moins de 24 heures :</p>
+        <ul>${names.map((name) => `<li>${escapeHtml(name)}</li>`).join('')}</ul>
+        <p><a href="${cartUrl}" style="color: #2563eb;">Finaliser ma commande</a></p>
+        <hr style="border: 1px solid #eee;">
+        <p style="font-size: 12px; color: #666;">BuyItNow - ${SITE_URL}</p>
+      </div>
+    `,
+    text: [
+      greeting,
+      '',
+      'Les articles suivants seront retirés de votre panier dans moins de 24 heures :',
+      ...names.map((name) => `- ${name}`),
+      '',
+      `Finaliser ma commande : ${cartUrl}`,
+    ].join('\n'),
+  };
+};
+
+/**
+ * Rappel unique aux utilisateurs dont des articles expirent bientôt
+ * Un email par utilisateur regroupant les articles concernés
+ */
+const sendCartExpiryReminders = async (now) => {
+  const items = await Cart.find({
+    expiresAt: {
+      $gte: now,
+      $lt: new Date(now.getTime() + CART_REMINDER_WINDOW_MS),
+    },
+    expiryReminderSentAt: null,
+  })
+    .populate('user', 'name email verified isActive')
+    .select('user productName')
+    .lean();
+
+  const byUser = new Map();
+  items.forEach((item) => {
+    if (!item.user?.email || !item.user.verified || !item.user.isActive) {
+      return;
+    }
+    const key = String(item.user._id);
+    if (!byUser.has(key)) byUser.set(key, { user: item.user, items: [] });
+    byUser.get(key).items.push(item);
+  });
+
+  let sent = 0;
+  for (const { user, items: userItems } of byUser.values()) {
+    try {
+      await enqueueEmail(
+        { to: user.email, ...buildCartReminderEmail(user, userItems) },
+        { category: 'cart-expiry' },
+      );
+      await Cart.updateMany(
+        { _id: { $in: userItems.map(({ _id }) => _id) } },
+        { $set: { expiryReminderSentAt: now } },
+      );
+      sent += 1;
+    } catch (error) {
+      logger.error('Cart expiry reminder failed', {
+        userId: user._id,
+        error: error.message,
+      });
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Tâche de maintenance périodique
+ * Les rappels partent avant la purge pour cibler les articles encore valides
+ * @param {Object} [options]
+ * @param {boolean} [options.reminders=true] - Envoyer les rappels d'expiration
+ * @returns {Promise<Object>} Nombre d'éléments traités par opération
+ */
+export const runMaintenance = async ({ reminders = true } = {}) => {
+  const now = new Date();
+
+  const cartReminders = reminders ? await sendCartExpiryReminders(now) : 0;
+  const expiredCartItems = await purgeExpiredCartItems();
+  const staleUsers = await purgeStaleUnverifiedUsers(now);
+  const resetTokens = await clearExpiredResetTokens(now);
+
+  return { expiredCartItems, staleUsers, resetTokens, cartReminders };
+};
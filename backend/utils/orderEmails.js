@@ -0,0 +1,191 @@
+import User from '@/backend/models/user';
+import { formatPrice } from '@/helpers/helpers';
+import { captureException } from '@/monitoring/sentry';
+import logger from '@/utils/logger';
+import { enqueueEmail } from './emailQueue';
+import { escapeHtml } from './escape';
+import { SITE_URL } from './mailer';
+
+// Événements du cycle de vie d'une commande donnant lieu à un email
+export const ORDER_EMAIL_EVENTS = [
+  'placed',
+  'paid',
+  'shipped',
+  'delivered',
+  'cancelled',
+];
+
+const orderUrl = (order) => `${SITE_URL}/me/orders/${order.orderNumber}`;
+
+// Gabarit HTML commun à tous les emails de commande
+const renderLayout = ({ title, greeting, paragraphs, details = '', order }) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2>${escapeHtml(title)}</h2>
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map((text) => `<p>${escapeHtml(text)}</p>`).join('')}
+    ${details}
+    <p>
+      <a href="${orderUrl(order)}" style="color: #2563eb;">Suivre ma commande ${escapeHtml(order.orderNumber)}</a>
+    </p>
+    <hr style="border: 1px solid #eee;">
+    <p style="font-size: 12px; color: #666;">
+      BuyItNow - ${SITE_URL}
+    </p>
+  </div>
+`;
+
+// Version texte du même contenu
+const renderText = ({ greeting, paragraphs, detailsText = '', order }) =>
+  [
+    greeting,
+    '',
+    ...paragraphs,
+    ...(detailsText ? ['', detailsText] : []),
+    '',
+    `Suivre ma commande : ${orderUrl(order)}`,
+  ].join('\n');
+
+const renderItemsHtml = (order) => `
+  <table style="width: 100%; border-collapse: collapse;">
+    ${order.orderItems
+      .map(
+        (item) => `
+      <tr>
+        <td style="padding: 4px 0;">${escapeHtml(item.name)} x ${item.quantity}</td>
+        <td style="padding: 4px 0; text-align: right;">${formatPrice(item.price * item.quantity)}</td>
+      </tr>`,
+      )
+      .join('')}
+    <tr>
+      <td style="padding: 4px 0;">Livraison</td>
+      <td style="padding: 4px 0; text-align: right;">${formatPrice(order.shippingAmount || 0)}</td>
+    </tr>
+    <tr>
+      <td style="padding: 4px 0; font-weight: bold;">Total</td>
+      <td style="padding: 4px 0; text-align: right; font-weight: bold;">${formatPrice(order.totalAmount)}</td>
+    </tr>
+  </table>
+`;
+
+const renderItemsText = (order) =>
+  [
+    ...order.orderItems.map(
+      (item) =>
+        `- ${item.name} x ${item.quantity} : ${formatPrice(item.price * item.quantity)}`,
+    ),
+    `Livraison : ${formatPrice(order.shippingAmount || 0)}`,
+    `Total : ${formatPrice(order.totalAmount)}`,
+  ].join('\n');
+
+// Contenu propre à chaque événement
+const TEMPLATES = {
+  placed: (order) => ({
+    subject: `Commande ${order.orderNumber} confirmée`,
+    title: 'Merci pour votre commande',
+    paragraphs: [
+      `Nous avons bien reçu votre commande ${order.orderNumber}. Elle sera traitée dès la confirmation de votre paiement.`,
+    ],
+    details: renderItemsHtml(order),
+    detailsText: renderItemsText(order),
+  }),
+  paid: (order) => ({
+    subject: `Paiement reçu pour la commande ${order.orderNumber}`,
+    title: 'Paiement confirmé',
+    paragraphs: [
+      `Le paiement de ${formatPrice(order.totalAmount)} pour votre commande ${order.orderNumber} a été confirmé.`,
+      'Votre facture est disponible depuis votre espace client.',
+    ],
+  }),
+  shipped: (order) => ({
+    subject: `Commande ${order.orderNumber} expédiée`,
+    title: 'Votre commande est en route',
+    paragraphs: [
+      `Votre commande ${order.orderNumber} a été expédiée et vous sera livrée prochainement.`,
+    ],
+  }),
+  delivered: (order) => ({
+    subject: `Commande ${order.orderNumber} livrée`,
+    title: 'Votre commande a été livrée',
+    paragraphs: [
+      `Votre commande ${order.orderNumber} a été livrée. Merci de votre confiance !`,
+    ],
+  }),
+  cancelled: (order) => ({
+    subject: `Commande ${order.orderNumber} annulée`,
+    title: 'Votre commande a été annulée',
+    paragraphs: [
+      `Votre commande ${order.orderNumber} a été annulée.`,
+      order.cancelReason && `Raison : ${order.cancelReason}`,
+    ].filter(Boolean),
+  }),
+};
+
+/**
+ * Construit le message (sujet, HTML, texte) d'un événement de commande
+ * @param {string} event - Un des ORDER_EMAIL_EVENTS
+ * @param {Object} order - Commande
+ * @param {Object} recipient - Destinataire (name, email)
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const buildOrderEmail = (event, order, recipient) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`Unknown order email event: ${event}`);
+  }
+
+  const content = template(order);
+  const greeting = recipient.name ? `Bonjour ${recipient.name},` : 'Bonjour,';
+
+  return {
+    subject: content.subject,
+    html: renderLayout({ ...content, greeting, order }),
+    text: renderText({ ...content, greeting, order }),
+  };
+};
+
+/**
+ * Place dans la file d'envoi l'email correspondant à un événement de commande
+ * N'interrompt jamais l'appelant : les échecs sont journalisés
+ * @param {string} event - Un des ORDER_EMAIL_EVENTS
+ * @param {Object} order - Commande (orderNumber, orderItems, totalAmount...)
+ * @param {Object} [recipient] - Destinataire ; chargé depuis order.user sinon
+ * @returns {Promise<boolean>} true si l'email a été mis en file
+ */
+export const notifyOrderEvent = async (event, order, recipient = null) => {
+  try {
+    const to =
+      recipient ||
+      (await User.findById(order.user?._id || order.user)
+        .select('name email')
+        .lean());
+
+    if (!to?.email) {
+      logger.warn('Order email skipped: no recipient', {
+        event,
+        orderNumber: order.orderNumber,
+      });
+      return false;
+    }
+
+    const message = buildOrderEmail(event, order, to);
+    await enqueueEmail(
+      { to: to.email, ...message },
+      { category: `order-${event}` },
+    );
+
+    return true;
+  } catch (error) {
+    logger.error('Order email failed', {
+      event,
+      orderNumber: order?.orderNumber,
+      error: error.message,
+    });
+
+    captureException(error, {
+      tags: { component: 'mailer', action: `order-${event}` },
+      extra: { orderNumber: order?.orderNumber },
+    });
+
+    return false;
+  }
+};
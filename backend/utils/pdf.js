@@ -0,0 +1,128 @@
+/**
+ * Générateur PDF minimal, sans dépendance
+ * Texte et traits uniquement, avec les polices standard Helvetica
+ * (non embarquées) : suffisant pour des documents simples comme les factures
+ */
+
+// Format A4 en points
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Caractères étroits d'Helvetica (278/1000 em), utilisés dans les montants
+const NARROW_CHARS = new Set(['.', ',', ' ', ':', '-', '/']);
+
+// Conversion vers l'encodage WinAnsi des polices standard
+const toWinAnsi = (value) =>
+  String(value ?? '')
+    .replace(/•/g, '\x95')
+    .replace(/€/g, '\x80')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\t\n\r\x20-\xFF]/g, '?');
+
+const escapeText = (value) =>
+  toWinAnsi(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)')
+    .replace(/[\r\n]+/g, ' ');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Largeur approximative d'un texte (alignement à droite des montants)
+ * @param {string} value - Texte
+ * @param {number} size - Taille de police
+ */
+export const textWidth = (value, size) =>
+  [...String(value ?? '')].reduce(
+    (width, char) =>
+      width + (NARROW_CHARS.has(char) ? 278 : /[0-9$]/.test(char) ? 556 : 520),
+    0,
+  ) *
+  (size / 1000);
+
+/**
+ * Crée un document PDF
+ * Les coordonnées sont exprimées depuis le coin supérieur gauche
+ */
+export const createPdfDocument = () => {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  return {
+    text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+      const left = align === 'right' ? x - textWidth(value, size) : x;
+      current().push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${round(left)} ${round(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`,
+      );
+      return this;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current().push(
+        `${width} w ${round(x1)} ${round(PAGE_HEIGHT - y1)} m ${round(x2)} ${round(PAGE_HEIGHT - y2)} l S`,
+      );
+      return this;
+    },
+
+    addPage() {
+      pages.push([]);
+      return this;
+    },
+
+    /**
+     * Sérialise le document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const regularFontId = addObject(
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      );
+      const boldFontId = addObject(
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      );
+
+      const pageIds = pages.map((operations) => {
+        const content = operations.join('\n');
+        const contentId = addObject(
+          `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        );
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> ` +
+            `/Contents ${contentId} 0 R >>`,
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] =
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      offsets.forEach((offset) => {
+        output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+      });
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    },
+  };
+};
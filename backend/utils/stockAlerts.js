@@ -0,0 +1,145 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import Product from '@/backend/models/product';
+import StockSubscription from '@/backend/models/stockSubscription';
+import { formatPrice } from '@/helpers/helpers';
+import { captureException } from '@/monitoring/sentry';
+import logger from '@/utils/logger';
+import { enqueueEmail } from './emailQueue';
+import { escapeHtml } from './escape';
+import { SITE_URL } from './mailer';
+
+// Signature du lien de désinscription, liée à l'utilisateur
+const signUnsubscribe = (userId) =>
+  createHmac('sha256', process.env.NEXTAUTH_SECRET)
+    .update(`stock-alerts-unsubscribe:${userId}`)
+    .digest('base64url');
+
+/**
+ * Jeton de désinscription des alertes de retour en stock, utilisable sans
+ * connexion depuis l'email
+ * @param {string} userId - Destinataire de l'alerte
+ * @returns {string} Jeton de la forme <userId>.<signature>
+ */
+export const createUnsubscribeToken = (userId) =>
+  `${userId}.${signUnsubscribe(String(userId))}`;
+
+/**
+ * Vérifie un jeton de désinscription
+ * @param {string} token - Jeton reçu dans le lien
+ * @returns {string|null} ID de l'utilisateur, ou null si le jeton est invalide
+ */
+export const verifyUnsubscribeToken = (token) => {
+  const [userId, signature] = String(token ?? '').split('.');
+  if (!/^[0-9a-fA-F]{24}$/.test(userId ?? '') || !signature) return null;
+
+  const expected = Buffer.from(signUnsubscribe(userId));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length &&
+    timingSafeEqual(expected, received)
+    ? userId
+    : null;
+};
+
+/**
+ * Construit l'email d'alerte de retour en stock
+ * @param {Object} product - Produit (name, price)
+ * @param {Object} recipient - Destinataire (_id, name, email)
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const buildBackInStockEmail = (product, recipient) => {
+  const productUrl = `${SITE_URL}/product/${product._id}`;
+  const unsubscribeUrl = `${SITE_URL}/api/stock-alerts/unsubscribe?token=${createUnsubscribeToken(recipient._id)}`;
+  const greeting = recipient.name ? `Bonjour ${recipient.name},` : 'Bonjour,';
+  const message = `${product.name} est de nouveau disponible au prix de ${formatPrice(product.price)}.`;
+
+  return {
+    subject: `${product.name} est de retour en stock`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Bonne nouvelle !</h2>
+        <p>${escapeHtml(greeting)}</p>
+        <p>${escapeHtml(message)}</p>
+        <p>Les quantités peuvent être limitées.</p>
+        <p><a href="${productUrl}" style="color: #2563eb;">Voir le produit</a></p>
+        <hr style="border: 1px solid #eee;">
+        <p style="font-size: 12px; color: #666;">
+          Vous recevez cet email car vous avez demandé à être averti du retour
+          de ce produit. Cette alerte ne sera envoyée qu'une fois.
+          <a href="${unsubscribeUrl}" style="color: #666;">Ne plus recevoir d'alertes de retour en stock</a>
+        </p>
+      </div>
+    `,
+    text: [
+      greeting,
+      '',
+      message,
+      'Les quantités peuvent être limitées.',
+      '',
+      `Voir le produit : ${productUrl}`,
+      '',
+      `Ne plus recevoir d'alertes de retour en stock : ${unsubscribeUrl}`,
+    ].join('\n'),
+  };
+};
+
+/**
+ * Avertit les abonnés des produits revenus en stock puis supprime leurs
+ * abonnements. Sans effet pour les produits encore indisponibles : peut être
+ * appelée après toute opération susceptible d'augmenter le stock.
+ * N'interrompt jamais l'appelant : les échecs sont journalisés
+ * @param {string[]} productIds - Produits dont le stock a pu augmenter
+ * @returns {Promise<number>} Nombre d'alertes mises en file
+ */
+export const notifyBackInStock = async (productIds) => {
+  if (!productIds?.length) return 0;
+
+  let notified = 0;
+
+  try {
+    const products = await Product.find({
+      _id: { $in: productIds },
+      isActive: true,
+      stock: { $gt: 0 },
+    })
+      .select('name price')
+      .lean();
+
+    for (const product of products) {
+      const subscriptions = await StockSubscription.find({
+        product: product._id,
+      })
+        .populate('user', 'name email isActive stockAlertsOptOut')
+        .lean();
+
+      for (const subscription of subscriptions) {
+        const { user } = subscription;
+
+        // Abonnement supprimé même sans envoi (compte supprimé, désactivé
+        // ou désinscrit des alertes)
+        if (user?.email && user.isActive !== false && !user.stockAlertsOptOut) {
+          await enqueueEmail(
+            { to: user.email, ...buildBackInStockEmail(product, user) },
+            { category: 'back-in-stock' },
+          );
+          notified += 1;
+        }
+
+        await StockSubscription.deleteOne({ _id: subscription._id });
+      }
+    }
+
+    if (notified > 0) {
+      logger.info('Back-in-stock alerts queued', { notified });
+    }
+  } catch (error) {
+    logger.error('Back-in-stock alerts failed', { error: error.message });
+
+    captureException(error, {
+      tags: { component: 'mailer', action: 'back-in-stock' },
+      extra: { productIds: productIds.map(String) },
+    });
+  }
+
+  return notified;
+};
@@ -0,0 +1,140 @@
+import { escapeHtml } from './escape';
+import { SITE_URL } from './mailer';
+
+// Liste d'adresses séparées par des virgules
+const parseRecipients = (value) =>
+  (value || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+/**
+ * Destinataires des messages de contact
+ * SUPPORT_EMAILS (boîte du support par défaut) ; les messages urgents vont
+ * à SUPPORT_URGENT_EMAILS lorsqu'elle est configurée
+ * @param {boolean} urgent - Message urgent
+ * @returns {string} Adresses séparées par des virgules
+ */
+export const getSupportRecipients = (urgent = false) => {
+  const standard = parseRecipients(
+    process.env.SUPPORT_EMAILS || process.env.NODEMAILER_EMAIL_ACCOUNT,
+  );
+  const urgentList = parseRecipients(process.env.SUPPORT_URGENT_EMAILS);
+
+  return (urgent && urgentList.length > 0 ? urgentList : standard).join(', ');
+};
+
+const TYPE_LABELS = {
+  support: 'Support',
+  complaint: 'Réclamation',
+  question: 'Question',
+  compliment: 'Compliment',
+  suggestion: 'Suggestion',
+  general: 'Général',
+};
+
+/**
+ * Construit l'email transmettant un message de contact au support
+ * @param {Object} contact - Message enregistré (subject, message, type,
+ *   priority, orderNumber)
+ * @param {Object} user - Auteur (name, email)
+ * @param {Object} options
+ * @param {boolean} options.urgent - Message urgent
+ * @returns {Object} Options d'envoi
+ */
+export const buildContactNotificationEmail = (contact, user, { urgent }) => {
+  const type = TYPE_LABELS[contact.type] || TYPE_LABELS.general;
+  const details = [
+    `Type : ${type}`,
+    `Priorité : ${contact.priority}/5`,
+    contact.orderNumber && `Commande : ${contact.orderNumber}`,
+  ].filter(Boolean);
+
+  return {
+    from: {
+      name: user.name || 'BuyItNow User',
+      address: process.env.NODEMAILER_EMAIL_ACCOUNT,
+    },
+    replyTo: user.email,
+    to: getSupportRecipients(urgent),
+    subject: `${urgent ? '[URGENT] ' : ''}[${type}] ${contact.subject}`,
+    priority: urgent ? 'high' : 'normal',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Message de contact</h2>
+        <p><strong>De:</strong> ${escapeHtml(user.name)} (${escapeHtml(user.email)})</p>
+        <p><strong>Sujet:</strong> ${escapeHtml(contact.subject)}</p>
+        <p>${details.map(escapeHtml).join('<br>')}</p>
+        <hr style="border: 1px solid #eee;">
+        <div style="white-space: pre-wrap;">${escapeHtml(contact.message)}</div>
+        <hr style="border: 1px solid #eee;">
+        <p style="font-size: 12px; color: #666;">
+          Message envoyé depuis BuyItNow
+        </p>
+      </div>
+    `,
+    text: [
+      `De: ${user.name} (${user.email})`,
+      `Sujet: ${contact.subject}`,
+      ...details,
+      '',
+      contact.message,
+    ].join('\n'),
+  };
+};
+
+/**
+ * Identifiant de fil d'un message de contact
+ * Toutes les réponses y font référence : la messagerie du client les
+ * regroupe dans une même conversation
+ * @param {Object} contact - Message de contact
+ * @returns {string} Message-ID au format <...@domaine>
+ */
+export const contactThreadId = (contact) =>
+  `<contact-${contact._id}@${new URL(SITE_URL).hostname}>`;
+
+/**
+ * Construit l'email de réponse du support à un message de contact
+ * @param {Object} contact - Message de contact d'origine
+ * @param {Object} reply - Réponse (message)
+ * @param {Object} recipient - Client (name, email)
+ * @returns {Object} Options d'envoi (to, subject, html, text, en-têtes de fil)
+ */
+export const buildContactReplyEmail = (contact, reply, recipient) => {
+  const threadId = contactThreadId(contact);
+  const historyUrl = `${SITE_URL}/me/contact`;
+  const greeting = recipient.name ? `Bonjour ${recipient.name},` : 'Bonjour,';
+
+  return {
+    to: recipient.email,
+    subject: `Re: ${contact.subject}`,
+    inReplyTo: threadId,
+    references: threadId,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>${escapeHtml(greeting)}</p>
+        <div style="white-space: pre-wrap;">${escapeHtml(reply.message)}</div>
+        <p>L'équipe BuyItNow</p>
+        <hr style="border: 1px solid #eee;">
+        <p style="font-size: 12px; color: #666;">
+          Votre message du ${new Date(contact.createdAt).toLocaleDateString('fr-FR')} :
+        </p>
+        <blockquote style="font-size: 12px; color: #666; white-space: pre-wrap; border-left: 3px solid #eee; margin: 0; padding-left: 12px;">${escapeHtml(contact.message)}</blockquote>
+        <p style="font-size: 12px; color: #666;">
+          Retrouvez vos échanges sur <a href="${historyUrl}">${historyUrl}</a>
+        </p>
+      </div>
+    `,
+    text: [
+      greeting,
+      '',
+      reply.message,
+      '',
+      "L'équipe BuyItNow",
+      '',
+      `> ${contact.message.split('\n').join('\n> ')}`,
+      '',
+      `Vos échanges : ${historyUrl}`,
+    ].join('\n'),
+  };
+};
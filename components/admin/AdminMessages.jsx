@@ -0,0 +1,448 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import dynamic from 'next/dynamic';
+import { useRouter, usePathname, useSearchParams } from 'next/navigation';
+import { toast } from 'react-toastify';
+import { captureException } from '@/monitoring/sentry';
+
+const CustomPagination = dynamic(
+  () => import('@/components/layouts/CustomPagination'),
+  { ssr: true },
+);
+
+// Doit rester aligné sur CONTACT_STATUSES (helpers/validation/schemas/contact.js)
+const STATUS_LABELS = {
+  pending: 'En attente',
+  processing: "En cours d'envoi",
+  sent: 'Reçu',
+  resolved: 'Traité',
+  error: "Échec d'envoi",
+};
+
+const TYPE_LABELS = {
+  support: 'Support',
+  complaint: 'Réclamation',
+  question: 'Question',
+  compliment: 'Compliment',
+  suggestion: 'Suggestion',
+  general: 'Général',
+};
+
+const PRIORITIES = [0, 1, 2, 3, 4, 5];
+
+const formatDateTime = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleString('fr-FR', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : '-';
+
+const apiUrl = (path) => `${process.env.NEXT_PUBLIC_API_URL}/api/admin${path}`;
+
+/**
+ * Détail d'un message : lecture, statut, priorité et réponse au client
+ */
+const MessagePanel = ({ messageId, onChange }) => {
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+
+  // L'ouverture du détail marque le message comme lu côté serveur
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(apiUrl(`/messages/${messageId}`), {
+          headers: { Accept: 'application/json' },
+          credentials: 'include',
+        });
+        const data = await res.json();
+
+        if (cancelled) return;
+        if (!res.ok) {
+          toast.error(data.message || 'Impossible de charger le message');
+          return;
+        }
+
+        setMessage(data.data.message);
+      } catch (error) {
+        if (!cancelled) {
+          toast.error('Problème de connexion. Vérifiez votre connexion.');
+        }
+        captureException(error, {
+          tags: { component: 'AdminMessages', action: 'load' },
+        });
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [messageId]);
+
+  const handleUpdate = async (changes) => {
+    try {
+      const res = await fetch(apiUrl(`/messages/${messageId}`), {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify(changes),
+        credentials: 'include',
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        toast.error(data.message || 'Erreur lors de la mise à jour');
+        return;
+      }
+
+      setMessage((current) => ({ ...current, ...data.data.message }));
+      toast.success('Message mis à jour');
+      onChange();
+    } catch (error) {
+      toast.error('Problème de connexion. Vérifiez votre connexion.');
+      captureException(error, {
+        tags: { component: 'AdminMessages', action: 'update' },
+      });
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    setSending(true);
+
+    try {
+      const res = await fetch(apiUrl(`/messages/${messageId}/reply`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify({ message: reply }),
+        credentials: 'include',
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        toast.error(
+          data.errors?.message ||
+            data.message ||
+            "Erreur lors de l'envoi de la réponse",
+        );
+        return;
+      }
+
+      setMessage((current) => ({
+        ...current,
+        status: data.data.status,
+        replies: [...(current.replies || []), data.data.reply],
+      }));
+      setReply('');
+      toast.success('Réponse envoyée au client');
+      onChange();
+    } catch (error) {
+      toast.error('Problème de connexion. Vérifiez votre connexion.');
+      captureException(error, {
+        tags: { component: 'AdminMessages', action: 'reply' },
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-40 bg-gray-100 rounded-md animate-pulse"></div>;
+  }
+
+  if (!message) return null;
+
+  return (
+    <div className="p-4 bg-gray-50 border-t border-gray-200 space-y-4">
+      <div className="flex flex-wrap gap-4 text-sm">
+        <label>
+          <span className="block text-gray-600 mb-1">Statut</span>
+          <select
+            className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+            value={message.status}
+            onChange={(e) => handleUpdate({ status: e.target.value })}
+          >
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="block text-gray-600 mb-1">Priorité</span>
+          <select
+            className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+            value={message.priority}
+            onChange={(e) => handleUpdate({ priority: Number(e.target.value) })}
+          >
+            {PRIORITIES.map((priority) => (
+              <option key={priority} value={priority}>
+                {priority}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={() => handleUpdate({ read: false })}
+          className="self-end px-3 py-1 rounded-md text-xs font-medium text-gray-700 bg-gray-200 hover:bg-gray-300"
+        >
+          Marquer comme non lu
+        </button>
+      </div>
+
+      <div>
+        <p className="text-xs text-gray-500 mb-1">
+          {message.from?.name} ({message.from?.email}) ·{' '}
+          {formatDateTime(message.createdAt)}
+        </p>
+        {message.orderNumber && (
+          <p className="text-xs mb-1">
+            Commande concernée :{' '}
+            <span className="font-mono">{message.orderNumber}</span>
+          </p>
+        )}
+        <p className="text-sm whitespace-pre-wrap bg-white p-3 border border-gray-200 rounded-md">
+          {message.message}
+        </p>
+      </div>
+
+      {message.replies?.length > 0 && (
+        <ul className="space-y-2">
+          {message.replies.map((item) => (
+            <li
+              key={item._id}
+              className="ml-4 p-3 border-l-4 border-blue-500 bg-blue-50 rounded-r-md"
+            >
+              <p className="text-xs text-gray-500 mb-1">
+                {item.author?.name || 'Support'} ·{' '}
+                {formatDateTime(item.createdAt)}
+              </p>
+              <p className="text-sm whitespace-pre-wrap">{item.message}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleReply} className="space-y-2">
+        <label htmlFor={`reply-${messageId}`} className="block text-sm">
+          Répondre à {message.from?.email}
+        </label>
+        <textarea
+          id={`reply-${messageId}`}
+          rows={4}
+          maxLength={5000}
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          className="w-full border border-gray-300 rounded-md px-3 py-2"
+        />
+        <button
+          type="submit"
+          disabled={sending || !reply.trim()}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          {sending ? 'Envoi...' : 'Envoyer la réponse'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * Boîte de réception du support : recherche, filtres et traitement
+ */
+const AdminMessages = ({ inbox, filters }) => {
+  const [openId, setOpenId] = useState(null);
+  const [search, setSearch] = useState(filters.q);
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const handleFilterChange = useCallback(
+    (key, value) => {
+      const params = new URLSearchParams(searchParams?.toString() || '');
+      if (value !== '') {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+      // Revenir à la première page quand les filtres changent
+      params.delete('page');
+
+      const query = params.toString();
+      router.push(query ? `${pathname}?${query}` : pathname);
+    },
+    [searchParams, pathname, router],
+  );
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    handleFilterChange('q', search.trim());
+  };
+
+  const refresh = useCallback(() => router.refresh(), [router]);
+
+  return (
+    <div>
+      <h1 className="text-2xl font-semibold mb-6">Messages clients</h1>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <form onSubmit={handleSearch} className="flex gap-2 text-sm">
+          <label>
+            <span className="block text-gray-600 mb-1">Recherche</span>
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              maxLength={100}
+              placeholder="Sujet ou message"
+              className="border border-gray-300 rounded-md px-3 py-2"
+            />
+          </label>
+          <button
+            type="submit"
+            className="self-end px-3 py-2 rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Rechercher
+          </button>
+        </form>
+
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">Statut</span>
+          <select
+            className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+            value={filters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+          >
+            <option value="">Tous</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">Priorité</span>
+          <select
+            className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+            value={filters.priority}
+            onChange={(e) => handleFilterChange('priority', e.target.value)}
+          >
+            <option value="">Toutes</option>
+            {PRIORITIES.map((priority) => (
+              <option key={priority} value={priority}>
+                {priority}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">Lecture</span>
+          <select
+            className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+            value={filters.read}
+            onChange={(e) => handleFilterChange('read', e.target.value)}
+          >
+            <option value="">Tous</option>
+            <option value="false">Non lus</option>
+            <option value="true">Lus</option>
+          </select>
+        </label>
+      </div>
+
+      {!inbox ? (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-red-600">Impossible de charger les messages</p>
+        </div>
+      ) : inbox.messages.length === 0 ? (
+        <p className="p-8 text-center text-gray-500 bg-gray-50 border border-gray-200 rounded-md">
+          Aucun message ne correspond à ces filtres
+        </p>
+      ) : (
+        <>
+          <ul className="bg-white border border-gray-200 rounded-md divide-y divide-gray-100">
+            {inbox.messages.map((item) => (
+              <li key={item._id}>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setOpenId((current) =>
+                      current === item._id ? null : item._id,
+                    )
+                  }
+                  aria-expanded={openId === item._id}
+                  className="w-full text-left px-4 py-3 hover:bg-gray-50 flex flex-wrap items-center gap-3 text-sm"
+                >
+                  {!item.read && (
+                    <span
+                      className="w-2 h-2 rounded-full bg-blue-600"
+                      aria-label="Non lu"
+                    />
+                  )}
+                  <span
+                    className={`flex-1 min-w-0 truncate ${item.read ? '' : 'font-semibold'}`}
+                  >
+                    {item.subject}
+                  </span>
+                  <span className="text-gray-500">
+                    {item.from?.name || item.from?.email || '-'}
+                  </span>
+                  <span className="text-gray-500">
+                    {formatDateTime(item.createdAt)}
+                  </span>
+                  <span className="rounded-full px-2 py-0.5 text-xs bg-gray-100 text-gray-700">
+                    {TYPE_LABELS[item.type] || TYPE_LABELS.general}
+                  </span>
+                  <span className="rounded-full px-2 py-0.5 text-xs bg-gray-100 text-gray-700">
+                    {STATUS_LABELS[item.status] || item.status}
+                  </span>
+                  <span
+                    className={`text-xs ${item.priority >= 5 ? 'font-semibold text-red-600' : 'text-gray-500'}`}
+                  >
+                    P{item.priority} · {item.repliesCount} réponse(s)
+                  </span>
+                </button>
+
+                {openId === item._id && (
+                  <MessagePanel messageId={item._id} onChange={refresh} />
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {inbox.totalPages > 1 && (
+            <div className="mt-8">
+              <CustomPagination totalPages={inbox.totalPages} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminMessages;
@@ -0,0 +1,442 @@
+'use client';
+
+import { useState, useMemo, useCallback } from 'react';
+import dynamic from 'next/dynamic';
+import { useRouter, usePathname, useSearchParams } from 'next/navigation';
+import { toast } from 'react-toastify';
+import { captureException } from '@/monitoring/sentry';
+import { formatPrice } from '@/helpers/helpers';
+
+const CustomPagination = dynamic(
+  () => import('@/components/layouts/CustomPagination'),
+  { ssr: true },
+);
+
+const ORDER_STATUSES = ['Processing', 'Shipped', 'Delivered', 'Cancelled'];
+const PAYMENT_STATUSES = ['unpaid', 'processing', 'paid', 'refunded', 'failed'];
+
+// Doit rester aligné sur ORDER_STATUS_TRANSITIONS (backend/models/order.js)
+const NEXT_STATUSES = {
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered', 'Cancelled'],
+  Delivered: [],
+  Cancelled: [],
+};
+
+const STATUS_LABELS = {
+  Processing: 'En traitement',
+  Shipped: 'Expédiée',
+  Delivered: 'Livrée',
+  Cancelled: 'Annulée',
+};
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString('fr-FR', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+      })
+    : '-';
+
+/**
+ * Cartes de synthèse et série journalière issues de Order.getStats
+ */
+const OrdersStats = ({ stats }) => {
+  const statusCounts = useMemo(
+    () =>
+      Object.fromEntries(
+        (stats?.status || []).map(({ _id, count }) => [_id, count]),
+      ),
+    [stats],
+  );
+
+  const maxDailyOrders = useMemo(
+    () => Math.max(1, ...(stats?.daily || []).map((day) => day.orders)),
+    [stats],
+  );
+
+  if (!stats) {
+    return (
+      <div className="p-4 mb-6 bg-yellow-50 border border-yellow-200 rounded-md">
+        <p className="text-yellow-700">Statistiques indisponibles</p>
+      </div>
+    );
+  }
+
+  return (
+    <section className="mb-8" aria-label="Statistiques des commandes">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        <div className="p-4 bg-white border border-gray-200 rounded-md shadow-sm">
+          <p className="text-sm text-gray-500">Chiffre d&apos;affaires</p>
+          <p className="text-xl font-semibold text-green-700">
+            {formatPrice(stats.revenue)}
+          </p>
+        </div>
+        {ORDER_STATUSES.map((status) => (
+          <div
+            key={status}
+            className="p-4 bg-white border border-gray-200 rounded-md shadow-sm"
+          >
+            <p className="text-sm text-gray-500">{STATUS_LABELS[status]}</p>
+            <p className="text-xl font-semibold">{statusCounts[status] || 0}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {(stats.payment || []).map(({ _id, count }) => (
+          <span
+            key={_id}
+            className="rounded-full px-3 py-1 text-xs font-semibold bg-gray-100 text-gray-700"
+          >
+            {String(_id).toUpperCase()} : {count}
+          </span>
+        ))}
+      </div>
+
+      <div className="p-4 bg-white border border-gray-200 rounded-md shadow-sm">
+        <h3 className="font-semibold mb-4">Commandes des 30 derniers jours</h3>
+        {stats.daily?.length > 0 ? (
+          <ul className="space-y-1">
+            {stats.daily.map((day) => (
+              <li key={day._id} className="flex items-center gap-3 text-sm">
+                <span className="w-24 font-mono text-gray-500">{day._id}</span>
+                <progress
+                  className="h-3 w-1/2 accent-blue-600"
+                  value={day.orders}
+                  max={maxDailyOrders}
+                  aria-hidden="true"
+                />
+                <span className="whitespace-nowrap">
+                  {day.orders} · {formatPrice(day.revenue)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500 italic">Aucune commande sur la période</p>
+        )}
+      </div>
+    </section>
+  );
+};
+
+/**
+ * Back-office des commandes : statistiques, filtres et changement de statut
+ */
+const AdminOrders = ({ stats, orders, filters }) => {
+  const [pendingId, setPendingId] = useState(null);
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const handleFilterChange = useCallback(
+    (key, value) => {
+      const params = new URLSearchParams(searchParams?.toString() || '');
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+      // Revenir à la première page quand les filtres changent
+      params.delete('page');
+
+      const query = params.toString();
+      router.push(query ? `${pathname}?${query}` : pathname);
+    },
+    [searchParams, pathname, router],
+  );
+
+  const handleTransition = useCallback(
+    async (order, orderStatus) => {
+      let cancelReason;
+      if (orderStatus === 'Cancelled') {
+        cancelReason = window.prompt("Raison de l'annulation :");
+        if (!cancelReason) return;
+      }
+
+      setPendingId(order._id);
+
+      try {
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/admin/orders/${order._id}`,
+          {
+            method: 'PATCH',
+            headers: {
+              'Content-Type': 'application/json',
+              Accept: 'application/json',
+            },
+            body: JSON.stringify({ orderStatus, cancelReason }),
+            credentials: 'include',
+          },
+        );
+
+        const data = await res.json();
+
+        if (!res.ok) {
+          toast.error(
+            data.errors?.cancelReason ||
+              data.message ||
+              'Erreur lors de la mise à jour de la commande',
+          );
+          return;
+        }
+
+        toast.success(
+          `Commande ${order.orderNumber} : ${STATUS_LABELS[orderStatus]}`,
+        );
+        router.refresh();
+      } catch (error) {
+        toast.error('Problème de connexion. Vérifiez votre connexion.');
+        captureException(error, {
+          tags: { component: 'AdminOrders', action: 'transition' },
+        });
+      } finally {
+        setPendingId(null);
+      }
+    },
+    [router],
+  );
+
+  const handleRefund = useCallback(
+    async (order) => {
+      if (
+        !window.confirm(
+          `Rembourser la commande ${order.orderNumber} et remettre les articles en stock ?`,
+        )
+      ) {
+        return;
+      }
+
+      setPendingId(order._id);
+
+      try {
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/admin/orders/${order._id}/refund`,
+          {
+            method: 'POST',
+            headers: { Accept: 'application/json' },
+            credentials: 'include',
+          },
+        );
+
+        const data = await res.json();
+
+        if (!res.ok) {
+          toast.error(data.message || 'Erreur lors du remboursement');
+          return;
+        }
+
+        toast.success(`Commande ${order.orderNumber} remboursée`);
+        router.refresh();
+      } catch (error) {
+        toast.error('Problème de connexion. Vérifiez votre connexion.');
+        captureException(error, {
+          tags: { component: 'AdminOrders', action: 'refund' },
+        });
+      } finally {
+        setPendingId(null);
+      }
+    },
+    [router],
+  );
+
+  const handleConfirmPayment = useCallback(
+    async (order) => {
+      if (
+        !window.confirm(
+          `Confirmer la réception du paiement de la commande ${order.orderNumber} ?`,
+        )
+      ) {
+        return;
+      }
+
+      setPendingId(order._id);
+
+      try {
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/admin/orders/${order._id}/payment`,
+          {
+            method: 'POST',
+            headers: { Accept: 'application/json' },
+            credentials: 'include',
+          },
+        );
+
+        const data = await res.json();
+
+        if (!res.ok) {
+          toast.error(
+            data.message || 'Erreur lors de la confirmation du paiement',
+          );
+          return;
+        }
+
+        toast.success(`Paiement de la commande ${order.orderNumber} confirmé`);
+        router.refresh();
+      } catch (error) {
+        toast.error('Problème de connexion. Vérifiez votre connexion.');
+        captureException(error, {
+          tags: { component: 'AdminOrders', action: 'confirmPayment' },
+        });
+      } finally {
+        setPendingId(null);
+      }
+    },
+    [router],
+  );
+
+  return (
+    <div>
+      <h1 className="text-2xl font-semibold mb-6">Commandes</h1>
+
+      <OrdersStats stats={stats} />
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">Statut de commande</span>
+          <select
+            className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+            value={filters.orderStatus}
+            onChange={(e) => handleFilterChange('orderStatus', e.target.value)}
+          >
+            <option value="">Tous</option>
+            {ORDER_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {STATUS_LABELS[status]}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">Statut de paiement</span>
+          <select
+            className="border border-gray-300 rounded-md px-3 py-2 bg-white"
+            value={filters.paymentStatus}
+            onChange={(e) =>
+              handleFilterChange('paymentStatus', e.target.value)
+            }
+          >
+            <option value="">Tous</option>
+            {PAYMENT_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {status.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!orders ? (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-red-600">Impossible de charger les commandes</p>
+        </div>
+      ) : orders.orders?.length === 0 ? (
+        <p className="p-8 text-center text-gray-500 bg-gray-50 border border-gray-200 rounded-md">
+          Aucune commande ne correspond à ces filtres
+        </p>
+      ) : (
+        <>
+          <div className="overflow-x-auto bg-white border border-gray-200 rounded-md">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="px-4 py-3">Commande</th>
+                  <th className="px-4 py-3">Client</th>
+                  <th className="px-4 py-3">Date</th>
+                  <th className="px-4 py-3">Total</th>
+                  <th className="px-4 py-3">Paiement</th>
+                  <th className="px-4 py-3">Statut</th>
+                  <th className="px-4 py-3">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.orders.map((order) => (
+                  <tr key={order._id} className="border-t border-gray-100">
+                    <td className="px-4 py-3 font-mono">{order.orderNumber}</td>
+                    <td className="px-4 py-3">
+                      <div>{order.user?.name || '-'}</div>
+                      <div className="text-xs text-gray-500">
+                        {order.user?.email || '-'}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3">{formatDate(order.createdAt)}</td>
+                    <td className="px-4 py-3">
+                      {formatPrice(order.totalAmount)}
+                    </td>
+                    <td className="px-4 py-3">
+                      {(order.paymentStatus || 'unpaid').toUpperCase()}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div>{STATUS_LABELS[order.orderStatus]}</div>
+                      {order.orderStatus === 'Cancelled' &&
+                        order.cancelReason && (
+                          <div className="text-xs text-gray-500">
+                            {order.cancelReason}
+                          </div>
+                        )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-2">
+                        {(NEXT_STATUSES[order.orderStatus] || []).map(
+                          (status) => (
+                            <button
+                              key={status}
+                              type="button"
+                              disabled={pendingId === order._id}
+                              onClick={() => handleTransition(order, status)}
+                              className={`px-3 py-1 rounded-md text-xs font-medium text-white disabled:opacity-50 ${
+                                status === 'Cancelled'
+                                  ? 'bg-red-600 hover:bg-red-700'
+                                  : 'bg-blue-600 hover:bg-blue-700'
+                              }`}
+                            >
+                              {STATUS_LABELS[status]}
+                            </button>
+                          ),
+                        )}
+                        {['unpaid', 'processing'].includes(
+                          order.paymentStatus || 'unpaid',
+                        ) &&
+                          order.orderStatus !== 'Cancelled' && (
+                            <button
+                              type="button"
+                              disabled={pendingId === order._id}
+                              onClick={() => handleConfirmPayment(order)}
+                              className="px-3 py-1 rounded-md text-xs font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                            >
+                              Confirmer le paiement
+                            </button>
+                          )}
+                        {order.paymentStatus === 'paid' && (
+                          <button
+                            type="button"
+                            disabled={pendingId === order._id}
+                            onClick={() => handleRefund(order)}
+                            className="px-3 py-1 rounded-md text-xs font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+                          >
+                            Rembourser
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {orders.totalPages > 1 && (
+            <div className="mt-8">
+              <CustomPagination totalPages={orders.totalPages} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminOrders;
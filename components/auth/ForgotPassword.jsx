@@ -0,0 +1,113 @@
+'use client';
+
+import { useContext, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { toast } from 'react-toastify';
+
+import AuthContext from '@/context/AuthContext';
+
+/**
+ * Formulaire de demande de réinitialisation du mot de passe
+ * Affiche toujours le même message de confirmation (anti-énumération)
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [emailSent, setEmailSent] = useState(false);
+
+  const { forgotPassword, error, clearErrors } = useContext(AuthContext);
+
+  // Gestion des erreurs du contexte d'authentification
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      clearErrors();
+    }
+  }, [error, clearErrors]);
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    setIsSubmitting(true);
+
+    try {
+      const success = await forgotPassword({ email: email.trim() });
+      if (success) {
+        setEmailSent(true);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (emailSent) {
+    return (
+      <div className="text-center" role="status">
+        <h2 className="mb-3 text-xl font-semibold text-gray-800">
+          Vérifiez votre boîte mail
+        </h2>
+        <p className="text-gray-600">
+          Si un compte existe pour <strong>{email}</strong>, vous recevrez un
+          lien de réinitialisation valable 10 minutes.
+        </p>
+        <Link
+          href="/login"
+          className="inline-block mt-6 text-blue-600 hover:text-blue-800 font-semibold"
+        >
+          Retour à la connexion
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={submitHandler} noValidate>
+      <p className="mb-4 text-sm text-gray-600">
+        Saisissez l&apos;adresse email de votre compte. Nous vous enverrons un
+        lien pour choisir un nouveau mot de passe.
+      </p>
+
+      <div className="mb-6">
+        <label htmlFor="email" className="block mb-1 font-medium text-gray-700">
+          Email
+        </label>
+        <input
+          id="email"
+          className="appearance-none border border-gray-200 bg-gray-100 rounded-md py-2 px-3 hover:border-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent w-full transition-colors"
+          type="email"
+          placeholder="Votre adresse email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="email"
+          disabled={isSubmitting}
+          required
+        />
+      </div>
+
+      <button
+        type="submit"
+        className="my-2 px-4 py-2 text-center w-full inline-flex justify-center items-center text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+        disabled={isSubmitting || !email.trim()}
+        aria-busy={isSubmitting ? 'true' : 'false'}
+      >
+        {isSubmitting ? 'Envoi en cours...' : 'Envoyer le lien'}
+      </button>
+
+      <hr className="mt-6 mb-5 border-gray-200" />
+
+      <p className="text-center text-gray-600">
+        Vous vous souvenez de votre mot de passe?{' '}
+        <Link
+          href="/login"
+          className="text-blue-600 hover:text-blue-800 font-semibold"
+        >
+          Se connecter
+        </Link>
+      </p>
+    </form>
+  );
+};
+
+export default ForgotPassword;
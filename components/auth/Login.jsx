@@ -20,6 +20,22 @@ const Login = ({ csrfToken }) => {
   const router = useRouter();
   const params = useSearchParams();
   const callBackUrl = params.get('callbackUrl');
+  const verifiedStatus = params.get('verified');
+
+  // Retour du lien de vérification d'email
+  useEffect(() => {
+    if (verifiedStatus === 'success') {
+      toast.success(
+        'Votre adresse email est vérifiée. Vous pouvez vous connecter.',
+      );
+    } else if (verifiedStatus === 'invalid') {
+      toast.error('Lien de vérification invalide ou expiré.');
+    } else if (verifiedStatus === 'error') {
+      toast.error(
+        'La vérification de votre email a échoué. Réessayez plus tard.',
+      );
+    }
+  }, [verifiedStatus]);
 
   // Vérifier l'état de la connexion
   useEffect(() => {
@@ -77,6 +93,10 @@ const Login = ({ csrfToken }) => {
           toast.error(
             'Trop de tentatives de connexion. Veuillez réessayer ultérieurement.',
           );
+        } else if (data.error.includes('not verified')) {
+          toast.error(
+            'Veuillez vérifier votre adresse email avant de vous connecter.',
+          );
         } else if (data.error.includes('locked')) {
           toast.error(
             'Votre compte est temporairement verrouillé suite à plusieurs tentatives.',
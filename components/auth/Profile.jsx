@@ -4,8 +4,15 @@ import { memo, useContext, useState, useEffect, useRef } from 'react';
 import dynamic from 'next/dynamic';
 import Link from 'next/link';
 import Image from 'next/image';
+import { toast } from 'react-toastify';
 import AuthContext from '@/context/AuthContext';
-import { EllipsisVertical, Lock, Pencil, Plus } from 'lucide-react';
+import {
+  EllipsisVertical,
+  Lock,
+  MailWarning,
+  Pencil,
+  Plus,
+} from 'lucide-react';
 
 const AddressesSkeleton = () => (
   <div className="animate-pulse space-y-4">
@@ -25,7 +32,8 @@ const UserAddresses = dynamic(() => import('@/components/user/UserAddresses'), {
 });
 
 const Profile = ({ addresses = [] }) => {
-  const { user } = useContext(AuthContext);
+  const { user, loading, error, clearErrors, resendVerificationEmail } =
+    useContext(AuthContext);
   const [isClient, setIsClient] = useState(false);
   const [imageError, setImageError] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -38,6 +46,14 @@ const Profile = ({ addresses = [] }) => {
     setIsClient(true);
   }, []);
 
+  // Erreurs du contexte (renvoi de l'email de vérification)
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      clearErrors();
+    }
+  }, [error, clearErrors]);
+
   // MODIFICATION: Meilleure gestion des event listeners avec cleanup
   useEffect(() => {
     if (!isModalOpen) {
@@ -194,6 +210,26 @@ const Profile = ({ addresses = [] }) => {
         </div>
       </figure>
 
+      {user.verified === false && (
+        <div
+          className="mt-4 p-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md"
+          role="alert"
+        >
+          <p className="flex items-center text-sm">
+            <MailWarning className="mr-2 flex-shrink-0" />
+            Your email address is not verified yet.
+          </p>
+          <button
+            type="button"
+            onClick={resendVerificationEmail}
+            disabled={loading}
+            className="text-sm font-semibold text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            Resend verification email
+          </button>
+        </div>
+      )}
+
       <hr className="my-4 border-gray-200" />
 
       {Array.isArray(addresses) && addresses.length > 0 ? (
@@ -0,0 +1,164 @@
+'use client';
+
+import { useContext, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { toast } from 'react-toastify';
+import { Eye, EyeOff } from 'lucide-react';
+
+import AuthContext from '@/context/AuthContext';
+
+/**
+ * Formulaire de choix d'un nouveau mot de passe à partir du lien reçu par email
+ *
+ * @param {Object} props
+ * @param {string} props.token - Token de réinitialisation extrait de l'URL
+ */
+const ResetPassword = ({ token }) => {
+  const [formState, setFormState] = useState({
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { resetPassword, error, clearErrors } = useContext(AuthContext);
+
+  // Gestion des erreurs du contexte d'authentification
+  useEffect(() => {
+    if (error) {
+      toast.error(error);
+      clearErrors();
+    }
+  }, [error, clearErrors]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormState((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const passwordsMismatch =
+    formState.confirmPassword.length > 0 &&
+    formState.newPassword !== formState.confirmPassword;
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    setIsSubmitting(true);
+
+    try {
+      await resetPassword({
+        token,
+        newPassword: formState.newPassword,
+        confirmPassword: formState.confirmPassword,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submitHandler} noValidate>
+      <div className="mb-4">
+        <label
+          htmlFor="newPassword"
+          className="block mb-1 font-medium text-gray-700"
+        >
+          Nouveau mot de passe
+        </label>
+        <div className="relative">
+          <input
+            id="newPassword"
+            name="newPassword"
+            className="appearance-none border border-gray-200 bg-gray-100 rounded-md py-2 px-3 hover:border-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent w-full transition-colors"
+            type={showPassword ? 'text' : 'password'}
+            placeholder="Créez un nouveau mot de passe fort"
+            value={formState.newPassword}
+            onChange={handleInputChange}
+            autoComplete="new-password"
+            minLength={8}
+            disabled={isSubmitting}
+            required
+          />
+          <button
+            type="button"
+            className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-600"
+            onClick={() => setShowPassword((prev) => !prev)}
+            tabIndex="-1"
+            aria-label={
+              showPassword
+                ? 'Masquer le mot de passe'
+                : 'Afficher le mot de passe'
+            }
+          >
+            {showPassword ? <EyeOff /> : <Eye />}
+          </button>
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          Au moins 8 caractères, avec majuscule, minuscule, chiffre et caractère
+          spécial (@$!%*?&#)
+        </p>
+      </div>
+
+      <div className="mb-6">
+        <label
+          htmlFor="confirmPassword"
+          className="block mb-1 font-medium text-gray-700"
+        >
+          Confirmer le mot de passe
+        </label>
+        <input
+          id="confirmPassword"
+          name="confirmPassword"
+          className={`appearance-none border ${passwordsMismatch ? 'border-red-500' : 'border-gray-200'} bg-gray-100 rounded-md py-2 px-3 hover:border-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent w-full transition-colors`}
+          type={showPassword ? 'text' : 'password'}
+          placeholder="Confirmez votre nouveau mot de passe"
+          value={formState.confirmPassword}
+          onChange={handleInputChange}
+          autoComplete="new-password"
+          aria-invalid={passwordsMismatch ? 'true' : 'false'}
+          aria-describedby={
+            passwordsMismatch ? 'confirmPassword-error' : undefined
+          }
+          disabled={isSubmitting}
+          required
+        />
+        {passwordsMismatch && (
+          <p
+            id="confirmPassword-error"
+            className="mt-1 text-xs text-red-600"
+            role="alert"
+          >
+            Les mots de passe ne correspondent pas
+          </p>
+        )}
+      </div>
+
+      <button
+        type="submit"
+        className="my-2 px-4 py-2 text-center w-full inline-flex justify-center items-center text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+        disabled={isSubmitting || passwordsMismatch || !formState.newPassword}
+        aria-busy={isSubmitting ? 'true' : 'false'}
+      >
+        {isSubmitting
+          ? 'Réinitialisation en cours...'
+          : 'Réinitialiser le mot de passe'}
+      </button>
+
+      <hr className="mt-6 mb-5 border-gray-200" />
+
+      <p className="text-center text-gray-600">
+        Lien expiré?{' '}
+        <Link
+          href="/forgot-password"
+          className="text-blue-600 hover:text-blue-800 font-semibold"
+        >
+          Demander un nouveau lien
+        </Link>
+      </p>
+    </form>
+  );
+};
+
+export default ResetPassword;
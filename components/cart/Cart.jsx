@@ -18,6 +18,7 @@ const ItemCart = dynamic(() => import('./components/ItemCart'), {
 // Composants et hooks extraits pour meilleure organisation
 import EmptyCart from './components/EmptyCart';
 import CartSummary from './components/CartSummary';
+import CartChangesNotice from './components/CartChangesNotice';
 import useCartOperations from '../../hooks/useCartOperations';
 import CartSkeleton from '../skeletons/CartSkeleton';
 
@@ -30,6 +31,9 @@ const Cart = () => {
     cartTotal,
     error,
     clearError,
+    isGuest,
+    cartChanges,
+    acknowledgeCartChanges,
   } = useContext(CartContext);
 
   const [initialLoadComplete, setInitialLoadComplete] = useState(false);
@@ -102,6 +106,16 @@ const Cart = () => {
       {/* Contenu du panier */}
       <section className="py-8 md:py-10">
         <div className="container max-w-6xl mx-auto px-4">
+          {/* Changements à confirmer avant de commander */}
+          {cartChanges && (
+            <CartChangesNotice
+              cart={cart}
+              changes={cartChanges}
+              onAcknowledge={acknowledgeCartChanges}
+              loading={loading}
+            />
+          )}
+
           {!loading && cart?.length === 0 ? (
             <EmptyCart />
           ) : (
@@ -123,6 +137,8 @@ const Cart = () => {
                   cartItems={cart}
                   amount={cartTotal}
                   onCheckout={checkoutHandler}
+                  isGuest={isGuest}
+                  hasPendingChanges={!!cartChanges}
                 />
               )}
             </div>
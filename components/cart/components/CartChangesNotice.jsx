@@ -0,0 +1,60 @@
+import { memo } from 'react';
+import { formatPrice } from '@/helpers/helpers';
+
+const REMOVAL_REASONS = {
+  unavailable: "n'est plus disponible",
+  out_of_stock: 'est en rupture de stock',
+};
+
+// Changements survenus depuis l'ajout des articles au panier
+const CartChangesNotice = memo(({ cart, changes, onAcknowledge, loading }) => {
+  const priceChanges = cart.filter((item) => item.priceChange);
+  const quantityChanges = cart.filter((item) => item.quantityAdjusted);
+
+  return (
+    <div
+      className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6"
+      role="alert"
+    >
+      <h2 className="font-semibold text-amber-900 mb-2">
+        Votre panier a changé depuis votre dernière visite
+      </h2>
+      <ul className="text-sm text-amber-800 space-y-1 mb-4 list-disc pl-5">
+        {priceChanges.map((item) => (
+          <li key={`price-${item.id}`}>
+            Le prix de <strong>{item.productName}</strong> est passé de{' '}
+            {formatPrice(item.priceChange.previousPrice)} à{' '}
+            {formatPrice(item.price)}
+            {item.priceChange.direction === 'up' ? ' (hausse)' : ' (baisse)'}
+          </li>
+        ))}
+        {quantityChanges.map((item) => (
+          <li key={`quantity-${item.id}`}>
+            La quantité de <strong>{item.productName}</strong> a été ramenée de{' '}
+            {item.quantityAdjusted.requested} à {item.quantity} selon le stock
+            disponible
+          </li>
+        ))}
+        {changes.removed.map((item) => (
+          <li key={`removed-${item.id}`}>
+            <strong>{item.productName}</strong>{' '}
+            {REMOVAL_REASONS[item.reason] || "n'est plus disponible"} et a été
+            retiré de votre panier
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        onClick={onAcknowledge}
+        disabled={loading}
+        className="px-4 py-2 text-sm font-medium text-white bg-amber-600 rounded-md hover:bg-amber-700 transition-colors disabled:opacity-50"
+      >
+        J&apos;ai pris connaissance de ces changements
+      </button>
+    </div>
+  );
+});
+
+CartChangesNotice.displayName = 'CartChangesNotice';
+
+export default CartChangesNotice;
@@ -153,8 +153,26 @@ const ItemCart = memo(
               {formatPrice(totalPrice)}
             </div>
             <div className="text-gray-500 text-sm">
+              {cartItem?.priceChange && (
+                <span className="line-through mr-1">
+                  {formatPrice(cartItem.priceChange.previousPrice)}
+                </span>
+              )}
               {formatPrice(cartItem?.price)} l&apos;unité
             </div>
+            {cartItem?.priceChange && (
+              <span
+                className={`text-xs font-medium px-2 py-0.5 mt-1 rounded-full ${
+                  cartItem.priceChange.direction === 'up'
+                    ? 'bg-red-100 text-red-800'
+                    : 'bg-green-100 text-green-800'
+                }`}
+              >
+                {cartItem.priceChange.direction === 'up'
+                  ? 'Prix en hausse'
+                  : 'Prix en baisse'}
+              </span>
+            )}
 
             <div className="mt-3 relative">
               {showDeleteConfirm ? (
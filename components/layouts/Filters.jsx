@@ -3,10 +3,21 @@
 import { useState, useCallback, useMemo, useEffect } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 import { toast } from 'react-toastify';
-import { getPriceQueryParams, isArrayEmpty } from '@/helpers/helpers';
+import {
+  formatPrice,
+  getPriceQueryParams,
+  isArrayEmpty,
+} from '@/helpers/helpers';
 import { ChevronDown, ChevronUp } from 'lucide-react';
 
-const Filters = ({ categories, setLocalLoading }) => {
+// Libellé d'une tranche de l'histogramme des prix, dans la devise de
+// formatPrice (fiches produit, factures)
+const formatPriceRange = ({ min, max }) =>
+  max === null
+    ? `${formatPrice(min, '$', 0)} et plus`
+    : `${formatPrice(min, '$', 0)} - ${formatPrice(max, '$', 0)}`;
+
+const Filters = ({ categories, facets, setLocalLoading }) => {
   const router = useRouter();
   const searchParams = useSearchParams();
 
@@ -22,6 +33,20 @@ const Filters = ({ categories, setLocalLoading }) => {
     [searchParams],
   );
 
+  const currentInStock = searchParams?.get('inStock') === 'true';
+
+  // Nombre de produits par catégorie (facettes de l'API)
+  const categoryCounts = useMemo(
+    () =>
+      new Map(
+        (facets?.categories || []).map(({ category, count }) => [
+          String(category),
+          count,
+        ]),
+      ),
+    [facets],
+  );
+
   // Synchroniser les états avec les paramètres d'URL
   useEffect(() => {
     setMin(searchParams?.get('min') || '');
@@ -117,6 +142,38 @@ const Filters = ({ categories, setLocalLoading }) => {
     }
   }, [min, max, searchParams]);
 
+  // Gestionnaire de clic sur une tranche de prix
+  const handlePriceRangeClick = useCallback(
+    (range) => {
+      if (isSubmitting) return;
+
+      let params = new URLSearchParams(searchParams?.toString() || '');
+      params = getPriceQueryParams(params, 'min', range.min);
+      params = getPriceQueryParams(params, 'max', range.max);
+      params.delete('page');
+
+      setOpen(false);
+      router.push(`/?${params.toString()}`);
+    },
+    [searchParams, isSubmitting],
+  );
+
+  // Gestionnaire du filtre de disponibilité
+  const handleInStockClick = useCallback(() => {
+    if (isSubmitting) return;
+
+    const params = new URLSearchParams(searchParams?.toString() || '');
+    if (currentInStock) {
+      params.delete('inStock');
+    } else {
+      params.set('inStock', 'true');
+    }
+    params.delete('page');
+
+    setOpen(false);
+    router.push(`/?${params.toString()}`);
+  }, [searchParams, isSubmitting, currentInStock]);
+
   // Réinitialiser les filtres
   const resetFilters = useCallback(() => {
     setIsSubmitting(true);
@@ -129,8 +186,8 @@ const Filters = ({ categories, setLocalLoading }) => {
 
   // Vérifier si des filtres sont actifs
   const hasActiveFilters = useMemo(() => {
-    return min || max || currentCategory;
-  }, [min, max, currentCategory]);
+    return min || max || currentCategory || currentInStock;
+  }, [min, max, currentCategory, currentInStock]);
 
   return (
     <aside className="md:w-1/3 lg:w-1/4 px-4">
@@ -171,7 +228,7 @@ const Filters = ({ categories, setLocalLoading }) => {
         >
           {/* Prix */}
           <div className="p-4 border border-gray-200 bg-white rounded-lg shadow-sm">
-            <h3 className="font-semibold mb-3 text-gray-700">Prix (€)</h3>
+            <h3 className="font-semibold mb-3 text-gray-700">Prix ($)</h3>
             <div className="grid grid-cols-2 gap-x-2 mb-3">
               <div>
                 <label
@@ -228,8 +285,52 @@ const Filters = ({ categories, setLocalLoading }) => {
             >
               Appliquer
             </button>
+
+            {facets?.prices && (
+              <ul className="mt-3 space-y-1">
+                {facets.prices.map((range) => (
+                  <li key={range.min}>
+                    <button
+                      type="button"
+                      className="flex justify-between w-full p-1 text-sm rounded-md text-gray-700 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+                      onClick={() => handlePriceRangeClick(range)}
+                      disabled={isSubmitting || range.count === 0}
+                    >
+                      <span>{formatPriceRange(range)}</span>
+                      <span>({range.count})</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
 
+          {/* Disponibilité */}
+          {facets?.availability && (
+            <div className="p-4 border border-gray-200 bg-white rounded-lg shadow-sm">
+              <h3 className="font-semibold mb-3 text-gray-700">
+                Disponibilité
+              </h3>
+              <button
+                type="button"
+                className={`flex justify-between w-full p-2 rounded-md transition-colors cursor-pointer disabled:text-gray-300 disabled:cursor-not-allowed ${
+                  currentInStock
+                    ? 'bg-blue-100 text-blue-700'
+                    : 'hover:bg-gray-100 text-gray-700'
+                }`}
+                onClick={handleInStockClick}
+                aria-pressed={currentInStock}
+                disabled={
+                  isSubmitting ||
+                  (!currentInStock && facets.availability.inStock === 0)
+                }
+              >
+                <span className="ml-2">En stock uniquement</span>
+                <span>({facets.availability.inStock})</span>
+              </button>
+            </div>
+          )}
+
           {/* Catégories */}
           <div className="p-4 border border-gray-200 bg-white rounded-lg shadow-sm">
             <h3 className="font-semibold mb-3 text-gray-700">Catégories</h3>
@@ -240,21 +341,31 @@ const Filters = ({ categories, setLocalLoading }) => {
               </div>
             ) : (
               <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
-                {categories?.map((category) => (
-                  <button
-                    key={category?._id}
-                    className={`flex items-center w-full p-2 rounded-md transition-colors cursor-pointer ${
-                      currentCategory === category?._id
-                        ? 'bg-blue-100 text-blue-700'
-                        : 'hover:bg-gray-100 text-gray-700'
-                    }`}
-                    onClick={() => handleCategoryClick(category?._id)}
-                    aria-pressed={currentCategory === category?._id}
-                    disabled={isSubmitting}
-                  >
-                    <span className="ml-2">{category?.categoryName}</span>
-                  </button>
-                ))}
+                {categories?.map((category) => {
+                  const isSelected = currentCategory === category?._id;
+                  const count = facets
+                    ? categoryCounts.get(String(category?._id)) || 0
+                    : null;
+
+                  return (
+                    <button
+                      key={category?._id}
+                      className={`flex items-center w-full p-2 rounded-md transition-colors cursor-pointer disabled:text-gray-300 disabled:cursor-not-allowed ${
+                        isSelected
+                          ? 'bg-blue-100 text-blue-700'
+                          : 'hover:bg-gray-100 text-gray-700'
+                      }`}
+                      onClick={() => handleCategoryClick(category?._id)}
+                      aria-pressed={isSelected}
+                      disabled={isSubmitting || (count === 0 && !isSelected)}
+                    >
+                      <span className="ml-2">{category?.categoryName}</span>
+                      {count !== null && (
+                        <span className="ml-auto text-sm">({count})</span>
+                      )}
+                    </button>
+                  );
+                })}
               </div>
             )}
           </div>
@@ -55,6 +55,7 @@ const UserDropdown = memo(({ user }) => {
     () => [
       { href: '/me', label: 'Mon profil' },
       { href: '/me/orders', label: 'Mes commandes' },
+      { href: '/me/wishlist', label: "Ma liste d'envies" },
       { href: '/me/contact', label: 'Contactez le vendeur' },
     ],
     [],
@@ -299,20 +300,18 @@ const Header = () => {
 
           {/* Mobile menu button */}
           <div className="md:hidden flex items-center">
-            {user && (
-              <Link
-                href="/cart"
-                className="px-3 py-2 inline-block text-center text-gray-700 bg-white shadow-sm border border-gray-200 rounded-md mr-2 relative"
-                aria-label="Panier"
-              >
-                <ShoppingCart className="text-gray-400 w-5" />
-                {cartCount > 0 && (
-                  <span className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs">
-                    {cartCount}
-                  </span>
-                )}
-              </Link>
-            )}
+            <Link
+              href="/cart"
+              className="px-3 py-2 inline-block text-center text-gray-700 bg-white shadow-sm border border-gray-200 rounded-md mr-2 relative"
+              aria-label="Panier"
+            >
+              <ShoppingCart className="text-gray-400 w-5" />
+              {cartCount > 0 && (
+                <span className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs">
+                  {cartCount}
+                </span>
+              )}
+            </Link>
             <button
               onClick={(e) => {
                 e.stopPropagation(); // Empêche la propagation vers le listener "click outside"
@@ -334,7 +333,7 @@ const Header = () => {
 
           {/* User navigation - Desktop */}
           <div className="hidden md:flex items-center space-x-3">
-            {user && <CartButton cartCount={cartCount} />}
+            <CartButton cartCount={cartCount} />
 
             {!user ? (
               <Link
@@ -397,6 +396,13 @@ const Header = () => {
                 >
                   Mes commandes
                 </Link>
+                <Link
+                  href="/me/wishlist"
+                  onClick={closeMobileMenu}
+                  className="block px-2 py-2 text-sm text-gray-700 hover:bg-blue-50 rounded-md"
+                >
+                  Ma liste d&apos;envies
+                </Link>
                 <Link
                   href="/me/contact"
                   onClick={closeMobileMenu} // Ajouter cette ligne
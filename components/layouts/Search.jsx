@@ -1,39 +1,124 @@
 'use client';
 
-import { useState, useCallback, useRef } from 'react';
+import {
+  useState,
+  useCallback,
+  useEffect,
+  useId,
+  useMemo,
+  useRef,
+} from 'react';
 import { useRouter } from 'next/navigation';
 import { toast } from 'react-toastify';
+import { debounce } from '@/utils/performance';
 // import { searchSchema } from '@/helpers/schemas';
 
-// Fonction de debounce pour limiter les requêtes
-const useDebounce = (fn, delay) => {
-  const timeoutRef = useRef(null);
+const MIN_SUGGEST_LENGTH = 2;
 
-  return useCallback(
-    (...args) => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-      }
-      timeoutRef.current = setTimeout(() => {
-        fn(...args);
-      }, delay);
-    },
-    [fn, delay],
-  );
+const EMPTY_SUGGESTIONS = { products: [], categories: [], queries: [] };
+
+// Liste à plat des suggestions, dans l'ordre d'affichage, avec leur cible
+const flattenSuggestions = ({ queries, products, categories }) => [
+  ...queries.map((query) => ({
+    key: `query-${query}`,
+    type: 'query',
+    label: query,
+    href: `/?keyword=${encodeURIComponent(query)}`,
+  })),
+  ...products.map((product) => ({
+    key: `product-${product.id}`,
+    type: 'product',
+    label: product.name,
+    href: `/product/${product.id}`,
+  })),
+  ...categories.map((category) => ({
+    key: `category-${category.id}`,
+    type: 'category',
+    label: category.name,
+    href: `/?category=${category.id}`,
+  })),
+];
+
+const GROUP_LABELS = {
+  query: 'Recherches populaires',
+  product: 'Produits',
+  category: 'Catégories',
 };
 
 const Search = ({ setLoading }) => {
   const [keyword, setKeyword] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const router = useRouter();
   const inputRef = useRef(null);
+  const abortRef = useRef(null);
+  const listboxId = useId();
+
+  // Récupération des suggestions, la requête précédente est annulée
+  const fetchSuggestions = useCallback(async (value) => {
+    abortRef.current?.abort();
+
+    if (value.trim().length < MIN_SUGGEST_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/products/suggest?q=${encodeURIComponent(value.trim())}`,
+        { signal: controller.signal },
+      );
+      const data = await res.json();
+
+      setSuggestions(
+        flattenSuggestions(data.success ? data.data : EMPTY_SUGGESTIONS),
+      );
+      setActiveIndex(-1);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Search suggestions error:', error.message);
+      }
+    }
+  }, []);
+
+  const debouncedSuggest = useMemo(
+    () => debounce(fetchSuggestions, 250),
+    [fetchSuggestions],
+  );
+
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   // Fonction pour modifier le keyword avec validation basique
-  const handleKeywordChange = useCallback((e) => {
-    const value = e.target.value;
-    setKeyword(value);
+  const handleKeywordChange = useCallback(
+    (e) => {
+      const value = e.target.value;
+      setKeyword(value);
+      setIsOpen(true);
+      debouncedSuggest(value);
+    },
+    [debouncedSuggest],
+  );
+
+  const closeSuggestions = useCallback(() => {
+    setIsOpen(false);
+    setActiveIndex(-1);
   }, []);
 
+  const selectSuggestion = useCallback(
+    (suggestion) => {
+      abortRef.current?.abort();
+      closeSuggestions();
+      setKeyword(suggestion.type === 'query' ? suggestion.label : '');
+      router.push(suggestion.href);
+    },
+    [router, closeSuggestions],
+  );
+
   // Validation et soumission debounce
   const submitHandler = useCallback(
     async (e) => {
@@ -43,6 +128,7 @@ const Search = ({ setLoading }) => {
       if (isSubmitting) return;
       setIsSubmitting(true);
       setLoading?.(true);
+      closeSuggestions();
 
       try {
         // Vérification simple avant validation
@@ -80,22 +166,48 @@ const Search = ({ setLoading }) => {
   );
 
   // Soumettre sur appui de la touche Entrée avec debounce
-  const debouncedSubmit = useDebounce(submitHandler, 300);
+  const debouncedSubmit = useMemo(
+    () => debounce(submitHandler, 300),
+    [submitHandler],
+  );
 
-  // Gérer l'appui sur la touche Entrée
+  const showSuggestions = isOpen && suggestions.length > 0;
+
+  // Navigation clavier dans les suggestions, Entrée pour valider
   const handleKeyDown = useCallback(
     (e) => {
-      if (e.key === 'Enter') {
+      if (showSuggestions && e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+      } else if (showSuggestions && e.key === 'ArrowUp') {
         e.preventDefault();
-        debouncedSubmit(e); // Utiliser debouncedSubmit au lieu de submitHandler
+        setActiveIndex((index) =>
+          index <= 0 ? suggestions.length - 1 : index - 1,
+        );
+      } else if (e.key === 'Escape') {
+        closeSuggestions();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (showSuggestions && activeIndex >= 0) {
+          selectSuggestion(suggestions[activeIndex]);
+        } else {
+          debouncedSubmit(e); // Utiliser debouncedSubmit au lieu de submitHandler
+        }
       }
     },
-    [debouncedSubmit],
+    [
+      showSuggestions,
+      suggestions,
+      activeIndex,
+      closeSuggestions,
+      selectSuggestion,
+      debouncedSubmit,
+    ],
   );
 
   return (
     <form
-      className="flex flex-nowrap items-center w-full order-last md:order-none mt-5 md:mt-0 md:w-1/3 lg:w-2/4"
+      className="relative flex flex-nowrap items-center w-full order-last md:order-none mt-5 md:mt-0 md:w-1/3 lg:w-2/4"
       onSubmit={(e) => {
         e.preventDefault();
         debouncedSubmit(e);
@@ -111,7 +223,19 @@ const Search = ({ setLoading }) => {
         value={keyword}
         onChange={handleKeywordChange}
         onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={closeSuggestions}
+        role="combobox"
         aria-label="Terme de recherche"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls={listboxId}
+        aria-activedescendant={
+          showSuggestions && activeIndex >= 0
+            ? `${listboxId}-${activeIndex}`
+            : undefined
+        }
+        autoComplete="off"
         disabled={isSubmitting}
         required
       />
@@ -128,6 +252,40 @@ const Search = ({ setLoading }) => {
       >
         {isSubmitting ? 'Recherche...' : 'Rechercher'}
       </button>
+
+      {showSuggestions && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label="Suggestions de recherche"
+          className="absolute left-0 right-0 top-full mt-1 z-50 max-h-80 overflow-y-auto bg-white border border-gray-200 rounded-md shadow-lg"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.key}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown plutôt que click : passe avant le blur de l'input
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectSuggestion(suggestion);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-2 cursor-pointer text-sm ${
+                index === activeIndex ? 'bg-blue-50' : ''
+              }`}
+            >
+              {suggestion.type !== suggestions[index - 1]?.type && (
+                <span className="block text-xs uppercase text-gray-400 mb-1">
+                  {GROUP_LABELS[suggestion.type]}
+                </span>
+              )}
+              <span className="text-gray-800">{suggestion.label}</span>
+            </li>
+          ))}
+        </ul>
+      )}
     </form>
   );
 };
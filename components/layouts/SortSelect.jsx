@@ -0,0 +1,61 @@
+'use client';
+
+import { memo, useCallback } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+
+// Libellés des tris acceptés par l'API (cf. PRODUCT_SORT_OPTIONS)
+const SORT_LABELS = {
+  price_asc: 'Prix croissant',
+  price_desc: 'Prix décroissant',
+  newest: 'Nouveautés',
+  best_selling: 'Meilleures ventes',
+  rating: 'Mieux notés',
+};
+
+// Choix du tri de la liste des produits, conservé dans l'URL
+const SortSelect = memo(() => {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const currentSort = searchParams?.get('sort') || '';
+
+  const handleChange = useCallback(
+    (e) => {
+      const params = new URLSearchParams(searchParams?.toString() || '');
+
+      if (e.target.value) {
+        params.set('sort', e.target.value);
+      } else {
+        params.delete('sort');
+      }
+      // Le nouveau tri repart de la première page
+      params.delete('page');
+
+      router.push(`/?${params.toString()}`);
+    },
+    [searchParams, router],
+  );
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-700">
+      Trier par
+      <select
+        value={SORT_LABELS[currentSort] ? currentSort : ''}
+        onChange={handleChange}
+        className="border border-gray-200 bg-white rounded-md py-1.5 px-2 focus:outline-none focus:border-blue-500"
+      >
+        <option value="">
+          {searchParams?.get('keyword') ? 'Pertinence' : 'Par défaut'}
+        </option>
+        {Object.entries(SORT_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+});
+
+SortSelect.displayName = 'SortSelect';
+
+export default SortSelect;
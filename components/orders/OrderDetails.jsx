@@ -0,0 +1,191 @@
+'use client';
+
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { formatPrice } from '@/helpers/helpers';
+
+const OrderedProduct = dynamic(() => import('./OrderedProduct'), {
+  loading: () => (
+    <div className="h-28 bg-gray-100 rounded-md animate-pulse"></div>
+  ),
+  ssr: true,
+});
+
+const STATUS_LABELS = {
+  Processing: 'En traitement',
+  Shipped: 'Expédiée',
+  Delivered: 'Livrée',
+  Cancelled: 'Annulée',
+};
+
+const formatDateTime = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleString('fr-FR', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : null;
+
+/**
+ * Détail d'une commande : articles, livraison, paiement et chronologie
+ */
+const OrderDetails = ({ order }) => {
+  const timeline = [
+    { label: 'Commande passée', date: order.timeline?.createdAt },
+    { label: 'Paiement confirmé', date: order.timeline?.paidAt },
+    { label: 'Livrée', date: order.timeline?.deliveredAt },
+    { label: 'Annulée', date: order.timeline?.cancelledAt },
+  ].filter((step) => step.date);
+
+  return (
+    <div>
+      <Link
+        href="/me/orders"
+        className="text-sm text-blue-600 hover:text-blue-800"
+      >
+        &larr; Retour à mes commandes
+      </Link>
+
+      <header className="mt-3 mb-6">
+        <h1 className="text-2xl font-semibold">
+          Commande <span className="font-mono">{order.orderNumber}</span>
+        </h1>
+        <div className="flex flex-wrap gap-2 mt-2">
+          <span className="rounded-full px-2 py-0.5 text-xs font-semibold bg-blue-100 text-blue-800">
+            {STATUS_LABELS[order.orderStatus] || order.orderStatus}
+          </span>
+          <span
+            className={`rounded-full px-2 py-0.5 text-xs font-semibold ${
+              order.paymentStatus === 'paid'
+                ? 'bg-green-100 text-green-800'
+                : 'bg-red-100 text-red-800'
+            }`}
+          >
+            {(order.paymentStatus || 'unpaid').toUpperCase()}
+          </span>
+        </div>
+        {['paid', 'refunded'].includes(order.paymentStatus) && (
+          <div className="flex gap-3 mt-3">
+            <a
+              href={`/api/orders/me/${order.orderNumber}/invoice?format=pdf`}
+              download
+              className="px-3 py-1 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50"
+            >
+              Télécharger la facture
+            </a>
+            <a
+              href={`/api/orders/me/${order.orderNumber}/invoice`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="px-3 py-1 text-sm font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Version imprimable
+            </a>
+          </div>
+        )}
+        {order.orderStatus === 'Cancelled' && order.cancelReason && (
+          <p className="mt-2 text-sm text-gray-600">
+            Raison de l&apos;annulation : {order.cancelReason}
+          </p>
+        )}
+      </header>
+
+      <section className="mb-6" aria-label="Chronologie de la commande">
+        <p className="text-blue-700 mb-2 font-medium">Suivi</p>
+        <ol className="border-l-2 border-blue-200 pl-4 space-y-2">
+          {timeline.map((step) => (
+            <li key={step.label} className="text-sm">
+              <span className="font-medium">{step.label}</span>{' '}
+              <span className="text-gray-500">
+                — {formatDateTime(step.date)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      <div className="grid md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <p className="text-blue-700 mb-1 font-medium text-sm">
+            Adresse de livraison
+          </p>
+          {order.shippingInfo ? (
+            <ul className="text-gray-600 text-sm">
+              <li>{order.shippingInfo.street}</li>
+              <li>
+                {[
+                  order.shippingInfo.city,
+                  order.shippingInfo.state,
+                  order.shippingInfo.zipCode,
+                ]
+                  .filter(Boolean)
+                  .join(', ')}
+              </li>
+              <li>{order.shippingInfo.country}</li>
+            </ul>
+          ) : (
+            <p className="text-gray-600 text-sm">Retrait sans livraison</p>
+          )}
+        </div>
+
+        <div>
+          <p className="text-blue-700 mb-1 font-medium text-sm">Paiement</p>
+          <ul className="text-gray-600 text-sm">
+            <li>
+              <span className="font-semibold">Mode:</span>{' '}
+              {order.payment?.typePayment || '-'}
+            </li>
+            <li>
+              <span className="font-semibold">Nom:</span>{' '}
+              {order.payment?.paymentAccountName || '-'}
+            </li>
+            <li>
+              <span className="font-semibold">Numéro:</span>{' '}
+              {order.payment?.paymentAccountNumber || '-'}
+            </li>
+          </ul>
+        </div>
+
+        <div>
+          <p className="text-blue-700 mb-1 font-medium text-sm">Montant</p>
+          <ul className="text-gray-600 text-sm">
+            <li>
+              <span className="font-semibold">Produits:</span>{' '}
+              {formatPrice(order.amounts?.items)}
+            </li>
+            <li>
+              <span className="font-semibold">Livraison:</span>{' '}
+              {formatPrice(order.amounts?.shipping)}
+            </li>
+            {order.amounts?.tax > 0 && (
+              <li>
+                <span className="font-semibold">Taxes:</span>{' '}
+                {formatPrice(order.amounts.tax)}
+              </li>
+            )}
+            <li className="font-medium text-gray-800">
+              <span className="font-semibold">Total:</span>{' '}
+              {formatPrice(order.amounts?.total)}
+            </li>
+          </ul>
+        </div>
+      </div>
+
+      <hr className="my-4" />
+
+      <p className="text-blue-700 mb-3 font-medium">
+        Articles commandés ({order.itemCount})
+      </p>
+      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-3">
+        {order.orderItems?.map((item) => (
+          <OrderedProduct key={item._id} item={item} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetails;
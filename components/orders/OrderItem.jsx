@@ -2,6 +2,9 @@
 
 import { memo, useState, useContext, useCallback } from 'react';
 import dynamic from 'next/dynamic';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { toast } from 'react-toastify';
 import { captureException } from '@/monitoring/sentry';
 import { formatPrice } from '@/helpers/helpers';
 
@@ -21,7 +24,9 @@ const OrderedProduct = dynamic(() => import('./OrderedProduct'), {
  */
 const OrderItem = memo(({ order }) => {
   const [expanded, setExpanded] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
   const { deliveryPrice } = useContext(OrderContext);
+  const router = useRouter();
 
   // Validation des données
   if (!order || typeof order !== 'object' || !order._id) {
@@ -51,6 +56,55 @@ const OrderItem = memo(({ order }) => {
     setExpanded((prev) => !prev);
   }, []);
 
+  // Annulation de la commande (uniquement en traitement)
+  const handleCancel = useCallback(async () => {
+    if (
+      !window.confirm(
+        'Voulez-vous vraiment annuler cette commande ? Cette action est irréversible.',
+      )
+    ) {
+      return;
+    }
+
+    setCancelling(true);
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/${order._id}/cancel`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({}),
+          credentials: 'include',
+        },
+      );
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        toast.error(
+          res.status === 409
+            ? 'Cette commande ne peut plus être annulée'
+            : data.message || "Erreur lors de l'annulation de la commande",
+        );
+        return;
+      }
+
+      toast.success('Commande annulée avec succès');
+      router.refresh();
+    } catch (err) {
+      toast.error('Problème de connexion. Vérifiez votre connexion.');
+      captureException(err, {
+        tags: { component: 'OrderItem', action: 'cancelOrder' },
+      });
+    } finally {
+      setCancelling(false);
+    }
+  }, [order._id, router]);
+
   // Validation et récupération sécurisée des données
   const orderNumber = order.orderNumber || order._id.substring(0, 8);
   const orderDate = formatDate(order.createdAt);
@@ -75,7 +129,17 @@ const OrderItem = memo(({ order }) => {
         <div className="mb-4 lg:mb-0">
           <div className="flex items-center">
             <h3 className="font-semibold text-lg">
-              Commande: <span className="font-mono">{orderNumber}</span>
+              Commande:{' '}
+              {order.orderNumber ? (
+                <Link
+                  href={`/me/orders/${order.orderNumber}`}
+                  className="font-mono text-blue-600 hover:text-blue-800 hover:underline"
+                >
+                  {orderNumber}
+                </Link>
+              ) : (
+                <span className="font-mono">{orderNumber}</span>
+              )}
             </h3>
             <button
               onClick={toggleExpanded}
@@ -218,7 +282,26 @@ const OrderItem = memo(({ order }) => {
         </>
       )}
 
-      <div className="text-center mt-4">
+      <div className="flex justify-center items-center gap-4 mt-4">
+        {['paid', 'refunded'].includes(paymentStatus) && order.orderNumber && (
+          <a
+            href={`/api/orders/me/${order.orderNumber}/invoice?format=pdf`}
+            download
+            className="px-3 py-1 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50"
+          >
+            Télécharger la facture
+          </a>
+        )}
+        {orderStatus === 'Processing' && (
+          <button
+            type="button"
+            onClick={handleCancel}
+            disabled={cancelling}
+            className="px-3 py-1 text-sm font-medium text-red-600 border border-red-600 rounded-md hover:bg-red-50 disabled:opacity-50"
+          >
+            {cancelling ? 'Annulation...' : 'Annuler la commande'}
+          </button>
+        )}
         <button
           onClick={toggleExpanded}
           className="text-blue-600 hover:text-blue-800 text-sm font-medium"
@@ -3,6 +3,7 @@
 import { Suspense, useCallback, useEffect, useMemo, useState } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 import dynamic from 'next/dynamic';
+import { toast } from 'react-toastify';
 import { isArrayEmpty } from '@/helpers/helpers';
 import { captureException } from '@/monitoring/sentry';
 import {
@@ -22,6 +23,10 @@ const Filters = dynamic(() => import('../layouts/Filters'), {
   ssr: true,
 });
 
+const SortSelect = dynamic(() => import('../layouts/SortSelect'), {
+  ssr: true,
+});
+
 const ProductItem = dynamic(() => import('./ProductItem'), {
   loading: () => <ProductItemSkeleton />,
   ssr: true,
@@ -39,7 +44,9 @@ const ListProducts = ({ data, categories }) => {
   const category = searchParams?.get('category');
   const minPrice = searchParams?.get('min');
   const maxPrice = searchParams?.get('max');
+  const inStock = searchParams?.get('inStock') === 'true';
   const page = searchParams?.get('page');
+  const stockAlertsStatus = searchParams?.get('stockAlerts');
 
   // Construire un message récapitulatif des filtres appliqués
   const getFilterSummary = useCallback(() => {
@@ -54,9 +61,10 @@ const ListProducts = ({ data, categories }) => {
         if (categoryName) summary.push(`Catégorie: ${categoryName}`);
       }
       if (minPrice && maxPrice)
-        summary.push(`Prix: ${minPrice}€ - ${maxPrice}€`);
-      else if (minPrice) summary.push(`Prix min: ${minPrice}€`);
-      else if (maxPrice) summary.push(`Prix max: ${maxPrice}€`);
+        summary.push(`Prix: $ ${minPrice} - $ ${maxPrice}`);
+      else if (minPrice) summary.push(`Prix min: $ ${minPrice}`);
+      else if (maxPrice) summary.push(`Prix max: $ ${maxPrice}`);
+      if (inStock) summary.push('En stock');
 
       if (page) summary.push(`Page: ${page || 1}`);
 
@@ -68,7 +76,7 @@ const ListProducts = ({ data, categories }) => {
       });
       return null;
     }
-  }, [keyword, category, minPrice, maxPrice, page, categories]);
+  }, [keyword, category, minPrice, maxPrice, inStock, page, categories]);
 
   // Utiliser useMemo pour éviter les recalculs inutiles
   const filterSummary = useMemo(() => getFilterSummary(), [getFilterSummary]);
@@ -101,6 +109,17 @@ const ListProducts = ({ data, categories }) => {
     }
   }, [data]);
 
+  // Retour du lien de désinscription des alertes de retour en stock
+  useEffect(() => {
+    if (stockAlertsStatus === 'unsubscribed') {
+      toast.success('Vous ne recevrez plus d’alertes de retour en stock.');
+    } else if (stockAlertsStatus === 'invalid') {
+      toast.error('Lien de désinscription invalide.');
+    } else if (stockAlertsStatus === 'error') {
+      toast.error('La désinscription a échoué. Réessayez plus tard.');
+    }
+  }, [stockAlertsStatus]);
+
   // Afficher un avertissement si les données ne sont pas valides
   if (!hasValidData) {
     return (
@@ -122,6 +141,7 @@ const ListProducts = ({ data, categories }) => {
           {hasValidCategories ? (
             <Filters
               categories={categories}
+              facets={data?.facets}
               setLocalLoading={setLocalLoading}
             />
           ) : (
@@ -156,6 +176,7 @@ const ListProducts = ({ data, categories }) => {
                   ? `${data.products.length} produit${data.products.length > 1 ? 's' : ''} trouvé${data.products.length > 1 ? 's' : ''}`
                   : 'Produits'}
               </h1>
+              <SortSelect />
             </div>
 
             {localLoading ? (
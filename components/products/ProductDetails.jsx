@@ -14,8 +14,11 @@ import PropTypes from 'prop-types'; // Pour la validation des props
 import Image from 'next/image';
 import Link from 'next/link';
 
-import AuthContext from '@/context/AuthContext';
 import CartContext from '@/context/CartContext';
+import WishlistButton from './WishlistButton';
+import StockAlertButton from './StockAlertButton';
+import RatingStars from './RatingStars';
+import ProductReviews from './ProductReviews';
 import { isArrayEmpty } from '@/helpers/helpers';
 import { INCREASE } from '@/helpers/constants';
 
@@ -151,6 +154,16 @@ const ProductInfo = memo(function ProductInfo({
       </h1>
 
       <div className="flex flex-wrap items-center space-x-2 mb-2">
+        {product?.ratingCount > 0 ? (
+          <a href="#reviews-heading" className="flex items-center">
+            <RatingStars
+              value={product.ratingAverage}
+              count={product.ratingCount}
+            />
+          </a>
+        ) : (
+          <span className="text-sm text-gray-500">Aucun avis</span>
+        )}
         {product?.verified && (
           <span className="text-green-700 flex items-center">
             <svg
@@ -253,6 +266,16 @@ const ProductInfo = memo(function ProductInfo({
           <Share2 className="mr-1" />
           Partager
         </button>
+
+        {!inStock && product?.isActive !== false && (
+          <StockAlertButton productId={product?._id} />
+        )}
+
+        <WishlistButton
+          productId={product?._id}
+          withLabel
+          className="w-full sm:w-auto px-4 py-2 border border-gray-300 hover:bg-red-50 focus:ring-2 focus:ring-red-200 focus:outline-none"
+        />
       </div>
 
       {/* Informations supplémentaires */}
@@ -401,7 +424,6 @@ const RelatedProducts = memo(function RelatedProducts({
 
 // Composant principal
 function ProductDetails({ product, sameCategoryProducts }) {
-  const { user } = useContext(AuthContext);
   const { addItemToCart, updateCart, cart, error, clearError } =
     useContext(CartContext);
 
@@ -464,13 +486,6 @@ function ProductDetails({ product, sameCategoryProducts }) {
       return;
     }
 
-    if (!user) {
-      toast.info(
-        'Veuillez vous connecter pour ajouter des articles à votre panier',
-      );
-      return;
-    }
-
     if (!inStock) {
       toast.warning('Ce produit est en rupture de stock');
       return;
@@ -489,6 +504,12 @@ function ProductDetails({ product, sameCategoryProducts }) {
       } else {
         addItemToCart({
           product: product._id,
+          details: {
+            productName: product.name,
+            price: product.price,
+            stock: product.stock,
+            imageUrl: product.images?.[0]?.url || '',
+          },
         });
         toast.success('Produit ajouté à votre panier');
       }
@@ -501,7 +522,7 @@ function ProductDetails({ product, sameCategoryProducts }) {
         setIsAddingToCart(false);
       }, 500);
     }
-  }, [product, user, cart, inStock, addItemToCart, updateCart, isAddingToCart]);
+  }, [product, cart, inStock, addItemToCart, updateCart, isAddingToCart]);
 
   // Fonction pour partager le produit
   const handleShare = useCallback(() => {
@@ -617,6 +638,9 @@ function ProductDetails({ product, sameCategoryProducts }) {
               </div>
             </div>
           )}
+
+          {/* Avis clients */}
+          <ProductReviews productId={product._id} />
         </div>
 
         {/* Produits connexes */}
@@ -639,6 +663,8 @@ ProductDetails.propTypes = {
     description: PropTypes.string,
     stock: PropTypes.number,
     sold: PropTypes.number,
+    ratingAverage: PropTypes.number,
+    ratingCount: PropTypes.number,
     createdAt: PropTypes.string,
     images: PropTypes.arrayOf(
       PropTypes.shape({
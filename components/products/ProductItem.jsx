@@ -5,11 +5,11 @@ import Image from 'next/image';
 
 import CartContext from '@/context/CartContext';
 import { INCREASE } from '@/helpers/constants';
-import AuthContext from '@/context/AuthContext';
+import WishlistButton from './WishlistButton';
+import RatingStars from './RatingStars';
 
 const ProductItem = memo(({ product }) => {
   const { addItemToCart, updateCart, cart } = useContext(CartContext);
-  const { user } = useContext(AuthContext);
 
   // Vérification de sécurité pour s'assurer que product est un objet valide
   if (!product || typeof product !== 'object') {
@@ -32,12 +32,6 @@ const ProductItem = memo(({ product }) => {
       e.preventDefault();
 
       try {
-        if (!user) {
-          return toast.error(
-            'Connectez-vous pour ajouter des articles à votre panier !',
-          );
-        }
-
         const isProductInCart = cart.find((i) => i?.productId === productId);
 
         if (isProductInCart) {
@@ -45,6 +39,12 @@ const ProductItem = memo(({ product }) => {
         } else {
           addItemToCart({
             product: productId,
+            details: {
+              productName,
+              price: productPrice,
+              stock: product.stock,
+              imageUrl: product.images?.[0]?.url || '',
+            },
           });
         }
       } catch (error) {
@@ -52,7 +52,7 @@ const ProductItem = memo(({ product }) => {
         console.error("Erreur d'ajout au panier:", error);
       }
     },
-    [user, cart, productId],
+    [cart, productId],
   );
 
   return (
@@ -89,6 +89,14 @@ const ProductItem = memo(({ product }) => {
             >
               {productName}
             </h3>
+            {product.ratingCount > 0 && (
+              <div className="mt-1">
+                <RatingStars
+                  value={product.ratingAverage}
+                  count={product.ratingCount}
+                />
+              </div>
+            )}
             <div className="mt-4 md:text-xs lg:text-sm text-gray-700">
               <p className="mb-1" title={productCategory}>
                 <span className="font-semibold mr-3">Catégorie: </span>
@@ -133,7 +141,7 @@ const ProductItem = memo(({ product }) => {
             >
               Livraison gratuite
             </p>
-            <div className="my-3 flex justify-center md:justify-start">
+            <div className="my-3 flex items-center gap-2 justify-center md:justify-start">
               <button
                 disabled={!inStock}
                 className={`px-2 lg:px-4 py-2 inline-block md:text-xs lg:text-sm text-white rounded-md hover:bg-blue-700 transition
@@ -146,6 +154,10 @@ const ProductItem = memo(({ product }) => {
               >
                 {inStock ? 'Ajouter au panier' : 'Indisponible'}
               </button>
+              <WishlistButton
+                productId={productId}
+                className="p-2 border border-gray-200 bg-white"
+              />
             </div>
           </div>
         </div>
@@ -0,0 +1,320 @@
+'use client';
+
+import { memo, useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+
+import RatingStars from './RatingStars';
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+const reviewsUrl = (productId, page = 1) =>
+  `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/reviews?page=${page}`;
+
+// Répartition des notes de 5 à 1 étoile
+const RatingSummary = memo(({ summary }) => (
+  <div className="flex flex-col sm:flex-row gap-6 mb-6">
+    <div className="text-center sm:w-40">
+      <p className="text-4xl font-bold text-gray-800">
+        {summary.average.toFixed(1)}
+      </p>
+      <RatingStars value={summary.average} size="md" />
+      <p className="text-sm text-gray-600 mt-1">{summary.count} avis</p>
+    </div>
+    <ul className="flex-1 space-y-1">
+      {[5, 4, 3, 2, 1].map((rating) => {
+        const ratingCount = summary.distribution[rating] || 0;
+
+        return (
+          <li key={rating} className="flex items-center gap-2 text-sm">
+            <span className="w-16 text-gray-600">{rating} étoiles</span>
+            <progress
+              className="flex-1 h-2 accent-amber-400"
+              value={ratingCount}
+              max={summary.count || 1}
+              aria-label={`${ratingCount} avis à ${rating} étoiles`}
+            />
+            <span className="w-10 text-right text-gray-600">{ratingCount}</span>
+          </li>
+        );
+      })}
+    </ul>
+  </div>
+));
+
+RatingSummary.displayName = 'RatingSummary';
+
+const INITIAL_FORM = {
+  rating: 0,
+  title: '',
+  comment: '',
+  wouldRecommend: null,
+};
+
+// Formulaire d'avis, affiché aux clients ayant reçu le produit
+const ReviewForm = memo(({ productId, onPublished }) => {
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((previous) => ({ ...previous, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+
+    if (form.rating < 1) {
+      setErrors({ rating: 'Veuillez choisir une note' });
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrors({});
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/reviews`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify(form),
+          credentials: 'include',
+        },
+      );
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        if (data.errors) setErrors(data.errors);
+        toast.error(
+          res.status === 403
+            ? 'Seuls les clients ayant reçu ce produit peuvent laisser un avis'
+            : res.status === 409
+              ? 'Vous avez déjà donné votre avis sur ce produit'
+              : "Impossible de publier l'avis",
+        );
+        return;
+      }
+
+      toast.success('Merci pour votre avis !');
+      setForm(INITIAL_FORM);
+      onPublished();
+    } catch (error) {
+      console.error('Review submit error:', error.message);
+      toast.error('Problème de connexion');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="border border-gray-200 rounded-lg p-4 mb-6 space-y-3"
+    >
+      <h3 className="font-semibold text-gray-800">Donner mon avis</h3>
+
+      <div>
+        <div className="flex gap-1" role="radiogroup" aria-label="Note">
+          {[1, 2, 3, 4, 5].map((rating) => (
+            <button
+              key={rating}
+              type="button"
+              role="radio"
+              aria-checked={form.rating === rating}
+              aria-label={`${rating} étoile${rating > 1 ? 's' : ''}`}
+              onClick={() => setForm((previous) => ({ ...previous, rating }))}
+              className={`text-2xl ${
+                rating <= form.rating ? 'text-amber-400' : 'text-gray-300'
+              }`}
+            >
+              ★
+            </button>
+          ))}
+        </div>
+        {errors.rating && (
+          <p className="text-sm text-red-600">{errors.rating}</p>
+        )}
+      </div>
+
+      <div>
+        <input
+          type="text"
+          name="title"
+          value={form.title}
+          onChange={handleChange}
+          maxLength={100}
+          placeholder="Titre de votre avis"
+          className="w-full border border-gray-200 rounded-md px-3 py-2"
+        />
+        {errors.title && <p className="text-sm text-red-600">{errors.title}</p>}
+      </div>
+
+      <div>
+        <textarea
+          name="comment"
+          value={form.comment}
+          onChange={handleChange}
+          maxLength={500}
+          rows={4}
+          placeholder="Qu'avez-vous pensé de ce produit ?"
+          className="w-full border border-gray-200 rounded-md px-3 py-2"
+        />
+        {errors.comment && (
+          <p className="text-sm text-red-600">{errors.comment}</p>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.wouldRecommend === true}
+          onChange={(e) =>
+            setForm((previous) => ({
+              ...previous,
+              wouldRecommend: e.target.checked,
+            }))
+          }
+        />
+        Je recommande ce produit
+      </label>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        {isSubmitting ? 'Publication...' : "Publier l'avis"}
+      </button>
+    </form>
+  );
+});
+
+ReviewForm.displayName = 'ReviewForm';
+
+/**
+ * Avis clients d'un produit : synthèse des notes, formulaire et liste paginée
+ */
+const ProductReviews = ({ productId }) => {
+  const [data, setData] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await fetch(reviewsUrl(productId, page), {
+        credentials: 'include',
+      });
+      const body = await res.json();
+
+      if (res.ok && body.success) {
+        setData(body.data);
+      }
+    } catch (error) {
+      console.error('Reviews retrieval error:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, page]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handlePublished = useCallback(() => {
+    if (page === 1) {
+      loadReviews();
+    } else {
+      setPage(1);
+    }
+  }, [page, loadReviews]);
+
+  return (
+    <section
+      aria-labelledby="reviews-heading"
+      className="border-t border-gray-200 pt-8 mt-8"
+    >
+      <h2 id="reviews-heading" className="text-xl font-semibold mb-4">
+        Avis clients
+      </h2>
+
+      {!data && loading && (
+        <div className="animate-pulse h-32 bg-gray-100 rounded-lg" />
+      )}
+
+      {data && (
+        <>
+          {data.summary.count > 0 && <RatingSummary summary={data.summary} />}
+
+          {data.viewer?.canReview && (
+            <ReviewForm productId={productId} onPublished={handlePublished} />
+          )}
+
+          {data.summary.count === 0 ? (
+            <p className="text-gray-500 italic">Aucun avis pour le moment</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {data.reviews.map((review) => (
+                <li key={review.id} className="py-4">
+                  <div className="flex items-center gap-2 mb-1">
+                    <RatingStars value={review.rating} />
+                    <span className="font-semibold text-gray-800">
+                      {review.title}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-2">
+                    {review.author} - {formatDate(review.createdAt)}
+                  </p>
+                  <p className="text-gray-700 whitespace-pre-line">
+                    {review.comment}
+                  </p>
+                  {review.wouldRecommend && (
+                    <p className="text-sm text-green-700 mt-1">
+                      Recommande ce produit
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {data.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-4 mt-4">
+              <button
+                type="button"
+                onClick={() => setPage((current) => current - 1)}
+                disabled={page <= 1 || loading}
+                className="px-3 py-1 text-sm border border-gray-200 rounded-md disabled:opacity-50"
+              >
+                Précédent
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {data.currentPage} / {data.totalPages}
+              </span>
+              <button
+                type="button"
+                onClick={() => setPage((current) => current + 1)}
+                disabled={page >= data.totalPages || loading}
+                className="px-3 py-1 text-sm border border-gray-200 rounded-md disabled:opacity-50"
+              >
+                Suivant
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,38 @@
+import { memo } from 'react';
+import { Star } from 'lucide-react';
+
+const SIZES = {
+  sm: 'w-4 h-4',
+  md: 'w-5 h-5',
+};
+
+// Note sur 5 étoiles, arrondie à l'étoile la plus proche
+const RatingStars = memo(({ value = 0, count = null, size = 'sm' }) => {
+  const rounded = Math.round(value);
+
+  return (
+    <span
+      className="inline-flex items-center"
+      aria-label={`Note : ${value.toFixed(1)} sur 5`}
+      title={`${value.toFixed(1)} / 5`}
+    >
+      {[1, 2, 3, 4, 5].map((star) => (
+        <Star
+          key={star}
+          className={`${SIZES[size] || SIZES.sm} ${
+            star <= rounded ? 'text-amber-400' : 'text-gray-300'
+          }`}
+          fill="currentColor"
+          aria-hidden="true"
+        />
+      ))}
+      {count !== null && (
+        <span className="ml-1 text-sm text-gray-600">({count})</span>
+      )}
+    </span>
+  );
+});
+
+RatingStars.displayName = 'RatingStars';
+
+export default RatingStars;
@@ -0,0 +1,108 @@
+'use client';
+
+import { memo, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSession } from 'next-auth/react';
+import { toast } from 'react-toastify';
+import { Bell, BellOff } from 'lucide-react';
+
+const stockAlertUrl = (productId) =>
+  `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/stock-alert`;
+
+// Alerte email au retour en stock d'un produit en rupture
+const StockAlertButton = memo(({ productId }) => {
+  const { status } = useSession();
+  const [subscribed, setSubscribed] = useState(false);
+  const [isPending, setIsPending] = useState(false);
+
+  useEffect(() => {
+    if (status !== 'authenticated' || !productId) return;
+
+    const controller = new AbortController();
+
+    fetch(stockAlertUrl(productId), {
+      credentials: 'include',
+      signal: controller.signal,
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        if (data.success) setSubscribed(data.data.subscribed);
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Stock alert status error:', error.message);
+        }
+      });
+
+    return () => controller.abort();
+  }, [status, productId]);
+
+  if (status === 'unauthenticated') {
+    return (
+      <Link
+        href={`/login?callbackUrl=/product/${productId}`}
+        className="w-full sm:w-auto px-4 py-2 flex flex-row items-center text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+      >
+        <Bell className="mr-1" />
+        Se connecter pour être averti
+      </Link>
+    );
+  }
+
+  const handleClick = async () => {
+    if (isPending) return;
+    setIsPending(true);
+
+    try {
+      const res = await fetch(stockAlertUrl(productId), {
+        method: subscribed ? 'DELETE' : 'POST',
+        headers: { Accept: 'application/json' },
+        credentials: 'include',
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        toast.error(data.message || 'Erreur lors de la mise à jour');
+        return;
+      }
+
+      setSubscribed(data.data.subscribed);
+      toast.success(
+        data.data.subscribed
+          ? 'Vous serez averti par email du retour en stock'
+          : 'Alerte de retour en stock annulée',
+      );
+    } catch (error) {
+      console.error('Stock alert error:', error.message);
+      toast.error('Problème de connexion');
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={isPending || status === 'loading'}
+      aria-pressed={subscribed}
+      className="w-full sm:w-auto px-4 py-2 flex flex-row items-center text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 focus:ring-2 focus:ring-blue-300 focus:outline-none transition-colors disabled:opacity-50"
+    >
+      {subscribed ? (
+        <>
+          <BellOff className="mr-1" />
+          Ne plus m&apos;avertir
+        </>
+      ) : (
+        <>
+          <Bell className="mr-1" />
+          M&apos;avertir du retour en stock
+        </>
+      )}
+    </button>
+  );
+});
+
+StockAlertButton.displayName = 'StockAlertButton';
+
+export default StockAlertButton;
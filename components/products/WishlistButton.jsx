@@ -0,0 +1,56 @@
+'use client';
+
+import { memo, useContext, useState } from 'react';
+import { Heart } from 'lucide-react';
+
+import WishlistContext from '@/context/WishlistContext';
+
+// Bouton cœur d'ajout / retrait de la liste d'envies
+const WishlistButton = memo(
+  ({ productId, withLabel = false, className = '' }) => {
+    const { isInWishlist, toggleWishlist } = useContext(WishlistContext);
+    const [isPending, setIsPending] = useState(false);
+
+    if (!productId) return null;
+
+    const saved = isInWishlist(productId);
+    const label = saved
+      ? "Retirer de ma liste d'envies"
+      : "Ajouter à ma liste d'envies";
+
+    const handleClick = async (e) => {
+      // Le bouton peut se trouver dans un lien vers la fiche produit
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (isPending) return;
+
+      setIsPending(true);
+      await toggleWishlist(productId);
+      setIsPending(false);
+    };
+
+    return (
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={isPending}
+        aria-pressed={saved}
+        aria-label={label}
+        title={label}
+        className={`inline-flex items-center justify-center rounded-lg transition-colors disabled:opacity-50 ${
+          saved ? 'text-red-500' : 'text-gray-400 hover:text-red-500'
+        } ${className}`}
+      >
+        <Heart className="w-5 h-5" fill={saved ? 'currentColor' : 'none'} />
+        {withLabel && (
+          <span className="ml-1">{saved ? 'Enregistré' : 'Enregistrer'}</span>
+        )}
+      </button>
+    );
+  },
+);
+
+WishlistButton.displayName = 'WishlistButton';
+
+export default WishlistButton;
@@ -0,0 +1,114 @@
+'use client';
+
+import dynamic from 'next/dynamic';
+
+const CustomPagination = dynamic(
+  () => import('@/components/layouts/CustomPagination'),
+  { ssr: true },
+);
+
+// Libellés côté client des statuts de Contact
+const STATUS_LABELS = {
+  pending: {
+    label: 'En cours d’envoi',
+    className: 'bg-gray-100 text-gray-700',
+  },
+  processing: {
+    label: 'En cours d’envoi',
+    className: 'bg-gray-100 text-gray-700',
+  },
+  sent: {
+    label: 'Transmis au support',
+    className: 'bg-blue-100 text-blue-800',
+  },
+  resolved: { label: 'Répondu', className: 'bg-green-100 text-green-800' },
+  error: { label: 'Non transmis', className: 'bg-red-100 text-red-800' },
+};
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * Historique des messages envoyés au support et de leurs réponses
+ */
+const ContactHistory = ({ history }) => {
+  if (!history) {
+    return (
+      <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+        <p className="text-yellow-700">
+          Impossible de charger l&apos;historique de vos messages
+        </p>
+      </div>
+    );
+  }
+
+  if (history.messages.length === 0) {
+    return (
+      <p className="text-gray-500 italic">
+        Vous n&apos;avez encore envoyé aucun message
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {history.messages.map((item) => {
+        const status = STATUS_LABELS[item.status] || STATUS_LABELS.pending;
+
+        return (
+          <article
+            key={item._id}
+            className="p-4 border border-gray-200 rounded-md bg-white"
+          >
+            <header className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="font-semibold">{item.subject}</h3>
+              <span
+                className={`rounded-full px-3 py-1 text-xs font-semibold ${status.className}`}
+              >
+                {status.label}
+              </span>
+            </header>
+            <p className="text-xs text-gray-500 mb-2">
+              {formatDateTime(item.createdAt)}
+            </p>
+            <p className="text-sm text-gray-700 whitespace-pre-wrap">
+              {item.message}
+            </p>
+
+            {item.replies.length > 0 && (
+              <ul className="mt-4 space-y-3">
+                {item.replies.map((reply) => (
+                  <li
+                    key={reply._id}
+                    className="ml-4 p-3 border-l-4 border-blue-500 bg-blue-50 rounded-r-md"
+                  >
+                    <p className="text-xs text-gray-500 mb-1">
+                      Support BuyItNow · {formatDateTime(reply.createdAt)}
+                    </p>
+                    <p className="text-sm whitespace-pre-wrap">
+                      {reply.message}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </article>
+        );
+      })}
+
+      {history.totalPages > 1 && (
+        <div className="mt-6">
+          <CustomPagination totalPages={history.totalPages} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContactHistory;
@@ -0,0 +1,135 @@
+'use client';
+
+import { useContext, useState } from 'react';
+import Link from 'next/link';
+import Image from 'next/image';
+
+import WishlistContext from '@/context/WishlistContext';
+import { formatPrice } from '@/helpers/helpers';
+
+/**
+ * Produits enregistrés pour plus tard, avec déplacement vers le panier
+ */
+const Wishlist = () => {
+  const { wishlist, loading, error, moveToCart, removeFromWishlist } =
+    useContext(WishlistContext);
+  const [pendingId, setPendingId] = useState(null);
+
+  const runAction = async (productId, action) => {
+    setPendingId(productId);
+    await action();
+    setPendingId(null);
+  };
+
+  if (loading && wishlist.length === 0) {
+    return (
+      <div className="animate-pulse space-y-3" aria-busy="true">
+        {[...Array(3)].map((_, index) => (
+          <div key={index} className="h-24 bg-gray-200 rounded-md" />
+        ))}
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  if (wishlist.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-500 mb-4">Votre liste d&apos;envies est vide</p>
+        <Link
+          href="/"
+          className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-md shadow hover:bg-blue-700 transition-colors"
+        >
+          Découvrir nos produits
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {wishlist.map((item) => {
+        const isPending = pendingId === item.productId;
+        const priceDropped = item.price < item.savedPrice;
+
+        return (
+          <li
+            key={item.id}
+            className="flex flex-col sm:flex-row sm:items-center gap-4 py-4"
+          >
+            <Link
+              href={`/product/${item.productId}`}
+              className="relative h-20 w-20 flex-shrink-0 rounded border overflow-hidden"
+            >
+              <Image
+                src={item.imageUrl || '/images/default_product.png'}
+                alt={item.productName}
+                fill
+                className="object-contain"
+                sizes="80px"
+              />
+            </Link>
+
+            <div className="flex-1">
+              <Link
+                href={`/product/${item.productId}`}
+                className="font-semibold text-gray-800 hover:text-blue-600"
+              >
+                {item.productName}
+              </Link>
+              <p className="text-sm text-gray-600">
+                {priceDropped && (
+                  <span className="line-through mr-2">
+                    {formatPrice(item.savedPrice)}
+                  </span>
+                )}
+                <span className={priceDropped ? 'text-green-700' : ''}>
+                  {formatPrice(item.price)}
+                </span>
+              </p>
+              {!item.isAvailable && (
+                <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-red-100 text-red-800">
+                  Indisponible
+                </span>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() =>
+                  runAction(item.productId, () => moveToCart(item))
+                }
+                disabled={!item.isAvailable || isPending}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Déplacer vers le panier
+              </button>
+              <button
+                type="button"
+                onClick={() =>
+                  runAction(item.productId, () =>
+                    removeFromWishlist(item.productId),
+                  )
+                }
+                disabled={isPending}
+                className="px-4 py-2 text-sm text-red-600 border border-gray-200 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+              >
+                Retirer
+              </button>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default Wishlist;
@@ -62,7 +62,11 @@ export const AuthProvider = ({ children }) => {
 
       // 5. Succès
       if (data.success) {
-        toast.success('Inscription réussie!');
+        toast.success(
+          data.verificationEmailSent === false
+            ? 'Inscription réussie!'
+            : 'Inscription réussie! Un email de vérification vous a été envoyé.',
+        );
         setTimeout(() => router.push('/login'), 1000);
       }
     } catch (error) {
@@ -255,6 +259,201 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const forgotPassword = async ({ email }) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      if (!email || !email.trim()) {
+        setError("L'email est obligatoire");
+        setLoading(false);
+        return false;
+      }
+
+      // Simple fetch avec timeout
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s pour l'email
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/auth/forgot-password`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({ email }),
+          signal: controller.signal,
+          credentials: 'include',
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        switch (res.status) {
+          case 400:
+            setError(data.message || 'Email invalide');
+            break;
+          case 429:
+            setError('Trop de tentatives. Réessayez plus tard.');
+            break;
+          default:
+            setError(data.message || "Erreur lors de l'envoi de l'email");
+        }
+        setLoading(false);
+        return false;
+      }
+
+      return data.success;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setError('La requête a pris trop de temps');
+      } else {
+        setError('Problème de connexion. Vérifiez votre connexion.');
+      }
+      console.error('Forgot password error:', error.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetPassword = async ({ token, newPassword, confirmPassword }) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Validation basique côté client (juste les essentiels)
+      if (!newPassword || newPassword.length < 8) {
+        setError('Minimum 8 caractères pour le nouveau mot de passe');
+        setLoading(false);
+        return;
+      }
+
+      if (newPassword !== confirmPassword) {
+        setError(
+          'Le nouveau mot de passe et la confirmation ne correspondent pas',
+        );
+        setLoading(false);
+        return;
+      }
+
+      // Simple fetch avec timeout
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/auth/reset-password`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({ token, newPassword, confirmPassword }),
+          signal: controller.signal,
+          credentials: 'include',
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        switch (res.status) {
+          case 400:
+            setError(
+              data.message === 'Invalid or expired reset token'
+                ? 'Ce lien est invalide ou a expiré'
+                : data.message || 'Mot de passe invalide',
+            );
+            break;
+          case 429:
+            setError('Trop de tentatives. Réessayez plus tard.');
+            break;
+          default:
+            setError(data.message || 'Erreur lors de la réinitialisation');
+        }
+        setLoading(false);
+        return;
+      }
+
+      if (data.success) {
+        toast.success('Mot de passe réinitialisé avec succès!');
+        setTimeout(() => router.push('/login'), 1000);
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setError('La requête a pris trop de temps');
+      } else {
+        setError('Problème de connexion. Vérifiez votre connexion.');
+      }
+      console.error('Password reset error:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resendVerificationEmail = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Simple fetch avec timeout
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s pour l'email
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/auth/verify`,
+        {
+          method: 'POST',
+          headers: {
+            Accept: 'application/json',
+          },
+          signal: controller.signal,
+          credentials: 'include',
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        switch (res.status) {
+          case 400:
+            setError('Votre email est déjà vérifié');
+            break;
+          case 401:
+            setError('Session expirée. Veuillez vous reconnecter');
+            setTimeout(() => router.push('/login'), 2000);
+            break;
+          case 429:
+            setError('Trop de tentatives. Réessayez plus tard.');
+            break;
+          default:
+            setError(data.message || "Erreur lors de l'envoi de l'email");
+        }
+        setLoading(false);
+        return;
+      }
+
+      if (data.success) {
+        toast.success('Email de vérification envoyé!');
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setError('La requête a pris trop de temps');
+      } else {
+        setError('Problème de connexion. Vérifiez votre connexion.');
+      }
+      console.error('Resend verification error:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const addNewAddress = async (address) => {
     try {
       setLoading(true);
@@ -598,6 +797,9 @@ export const AuthProvider = ({ children }) => {
         registerUser,
         updateProfile,
         updatePassword,
+        forgotPassword,
+        resetPassword,
+        resendVerificationEmail,
         addNewAddress,
         updateAddress,
         deleteAddress,
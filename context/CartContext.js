@@ -1,8 +1,23 @@
 'use client';
 
-import { createContext, useState, useCallback, useMemo } from 'react';
+import {
+  createContext,
+  useState,
+  useCallback,
+  useMemo,
+  useEffect,
+  useRef,
+} from 'react';
+import { useSession } from 'next-auth/react';
 import { toast } from 'react-toastify';
 import { DECREASE, INCREASE } from '@/helpers/constants';
+import {
+  readGuestCart,
+  addToGuestCart,
+  setGuestCartQuantity,
+  clearGuestCart,
+  toCartState,
+} from '@/utils/guestCart';
 
 const CartContext = createContext();
 
@@ -11,14 +26,35 @@ export const CartProvider = ({ children }) => {
   const [cart, setCart] = useState([]);
   const [cartCount, setCartCount] = useState(0);
   const [cartTotal, setCartTotal] = useState(0);
+  // Changements (prix, quantités, produits retirés) à confirmer avant commande
+  const [cartChanges, setCartChanges] = useState(null);
   const [checkoutInfo, setCheckoutInfo] = useState(null);
   const [orderInfo, setOrderInfo] = useState(null);
   const [error, setError] = useState(null);
 
+  // Visiteur non connecté : le panier est conservé dans le navigateur
+  const { status: sessionStatus } = useSession();
+  const isGuest = sessionStatus === 'unauthenticated';
+  const sessionStatusRef = useRef(sessionStatus);
+  sessionStatusRef.current = sessionStatus;
+  const isMergingRef = useRef(false);
+
+  const guestCartToState = (items) => {
+    remoteDataInState({ data: toCartState(items) });
+  };
+
   // Récupérer le panier - SIMPLIFIÉ (30 lignes max)
   const setCartToState = useCallback(async () => {
     if (loading) return;
 
+    // Session pas encore connue : le chargement suivra son résultat
+    if (sessionStatusRef.current === 'loading') return;
+
+    if (sessionStatusRef.current === 'unauthenticated') {
+      guestCartToState(readGuestCart());
+      return;
+    }
+
     try {
       setLoading(true);
       setError(null);
@@ -71,13 +107,29 @@ export const CartProvider = ({ children }) => {
   }, []);
 
   // Ajouter au panier - SIMPLIFIÉ (40 lignes max)
-  const addItemToCart = async ({ product, quantity = 1 }) => {
+  // `details` (productName, price, stock, imageUrl) alimente le panier invité
+  // Renvoie true lorsque le produit a bien été ajouté
+  const addItemToCart = async ({ product, quantity = 1, details = {} }) => {
     try {
       if (!product) {
         toast.error('Produit invalide');
         return;
       }
 
+      if (isGuest) {
+        const items = addToGuestCart(
+          { ...details, productId: product },
+          parseInt(quantity, 10),
+        );
+        if (!items) {
+          toast.error('Stock insuffisant');
+          return;
+        }
+        guestCartToState(items);
+        toast.success('Produit ajouté au panier');
+        return true;
+      }
+
       setLoading(true);
       setError(null);
 
@@ -121,6 +173,7 @@ export const CartProvider = ({ children }) => {
       if (data.success) {
         await setCartToState();
         toast.success('Produit ajouté au panier');
+        return true;
       }
     } catch (error) {
       if (error.name === 'AbortError') {
@@ -147,6 +200,23 @@ export const CartProvider = ({ children }) => {
         return;
       }
 
+      if (isGuest) {
+        if (action === INCREASE && product.quantity >= product.stock) {
+          toast.error(`Seulement ${product.stock} unités disponibles`);
+          return;
+        }
+        guestCartToState(
+          setGuestCartQuantity(
+            product.productId,
+            product.quantity + (action === INCREASE ? 1 : -1),
+          ),
+        );
+        toast.success(
+          action === INCREASE ? 'Quantité augmentée' : 'Quantité diminuée',
+        );
+        return;
+      }
+
       setLoading(true);
       setError(null);
 
@@ -197,6 +267,12 @@ export const CartProvider = ({ children }) => {
         return;
       }
 
+      if (isGuest) {
+        guestCartToState(setGuestCartQuantity(id, 0));
+        toast.success('Article supprimé');
+        return;
+      }
+
       setLoading(true);
       setError(null);
 
@@ -236,6 +312,101 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  // Fusionner le panier invité dans le panier du compte après connexion
+  const mergeGuestCart = async () => {
+    const items = readGuestCart();
+    if (items.length === 0 || isMergingRef.current) return;
+
+    isMergingRef.current = true;
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/merge`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({
+            items: items.map(({ productId, quantity }) => ({
+              productId,
+              quantity,
+            })),
+          }),
+          credentials: 'include',
+        },
+      );
+
+      const data = await res.json();
+
+      // En cas d'échec, le panier invité est conservé pour une prochaine
+      // tentative
+      if (!res.ok || !data.success) {
+        console.error('Guest cart merge failed:', data.message);
+        return;
+      }
+
+      clearGuestCart();
+
+      const { adjusted, skipped } = data.data;
+      if (adjusted.length > 0 || skipped.length > 0) {
+        toast.info(
+          'Certains articles de votre panier ont été ajustés selon le stock disponible',
+        );
+      }
+
+      await setCartToState();
+    } catch (error) {
+      console.error('Guest cart merge error:', error.message);
+    } finally {
+      isMergingRef.current = false;
+    }
+  };
+
+  useEffect(() => {
+    if (sessionStatus === 'authenticated') {
+      mergeGuestCart();
+    } else if (sessionStatus === 'unauthenticated') {
+      guestCartToState(readGuestCart());
+    }
+  }, [sessionStatus]);
+
+  // Confirmer les changements signalés pour débloquer la commande
+  const acknowledgeCartChanges = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/acknowledge`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          credentials: 'include',
+        },
+      );
+
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        toast.error(data.message || 'Erreur lors de la mise à jour du panier');
+        return;
+      }
+
+      remoteDataInState(data);
+      toast.success('Panier mis à jour');
+    } catch (error) {
+      console.error('Cart acknowledge error:', error.message);
+      toast.error('Problème de connexion');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Méthodes simples déjà OK
   const saveOnCheckout = ({ amount, tax = 0, totalAmount }) => {
     const validAmount = parseFloat(amount) || 0;
@@ -260,6 +431,7 @@ export const CartProvider = ({ children }) => {
     setLoading(false);
     setCartCount(0);
     setCartTotal(0);
+    setCartChanges(null);
   };
 
   const remoteDataInState = (response) => {
@@ -272,6 +444,9 @@ export const CartProvider = ({ children }) => {
     setCart(normalizedCart);
     setCartCount(response.data.cartCount || 0);
     setCartTotal(response.data.cartTotal || 0);
+    setCartChanges(
+      response.data.changes?.hasChanges ? response.data.changes : null,
+    );
   };
 
   // Valeur du contexte avec mémorisation
@@ -284,16 +459,29 @@ export const CartProvider = ({ children }) => {
       checkoutInfo,
       orderInfo,
       error,
+      isGuest,
+      cartChanges,
       setCartToState,
       setOrderInfo,
       addItemToCart,
       updateCart,
       saveOnCheckout,
       deleteItemFromCart,
+      acknowledgeCartChanges,
       clearError,
       clearCartOnLogout,
     }),
-    [loading, cart, cartCount, cartTotal, checkoutInfo, orderInfo, error],
+    [
+      loading,
+      cart,
+      cartCount,
+      cartTotal,
+      checkoutInfo,
+      orderInfo,
+      error,
+      isGuest,
+      cartChanges,
+    ],
   );
 
   return (
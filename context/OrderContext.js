@@ -1,7 +1,8 @@
 'use client';
 
 import { useRouter } from 'next/navigation';
-import { createContext, useState } from 'react';
+import { createContext, useRef, useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 
 const OrderContext = createContext();
 
@@ -18,6 +19,11 @@ export const OrderProvider = ({ children }) => {
   const [shippingStatus, setShippingStatus] = useState(true);
   const [deliveryPrice, setDeliveryPrice] = useState(0);
 
+  // Clé d'idempotence de la tentative de paiement en cours : conservée lors
+  // des nouveaux essais (timeout, double clic), renouvelée après une réponse
+  // définitive du serveur
+  const idempotencyKeyRef = useRef(null);
+
   const router = useRouter();
 
   const addOrder = async (orderInfo) => {
@@ -39,6 +45,10 @@ export const OrderProvider = ({ children }) => {
         return;
       }
 
+      if (!idempotencyKeyRef.current) {
+        idempotencyKeyRef.current = uuidv4();
+      }
+
       // Simple fetch avec timeout
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s pour une commande
@@ -50,6 +60,7 @@ export const OrderProvider = ({ children }) => {
           headers: {
             'Content-Type': 'application/json',
             Accept: 'application/json',
+            'Idempotency-Key': idempotencyKeyRef.current,
           },
           body: JSON.stringify(orderInfo),
           signal: controller.signal,
@@ -60,6 +71,15 @@ export const OrderProvider = ({ children }) => {
       clearTimeout(timeoutId);
       const data = await res.json();
 
+      // Réponse définitive : la prochaine tentative utilisera une nouvelle clé
+      const canRetrySameAttempt =
+        res.status >= 500 ||
+        res.status === 429 ||
+        data.code === 'REQUEST_IN_PROGRESS';
+      if (!canRetrySameAttempt) {
+        idempotencyKeyRef.current = null;
+      }
+
       if (!res.ok) {
         switch (res.status) {
           case 400:
@@ -69,6 +89,13 @@ export const OrderProvider = ({ children }) => {
             setError('Session expirée. Veuillez vous reconnecter.');
             setTimeout(() => router.push('/login'), 2000);
             break;
+          case 403:
+            setError(
+              data.code === 'EMAIL_NOT_VERIFIED'
+                ? 'Veuillez vérifier votre adresse email avant de commander. Un lien peut être renvoyé depuis votre profil.'
+                : data.message || 'Action non autorisée',
+            );
+            break;
           case 404:
             setError('Utilisateur non trouvé');
             setTimeout(() => router.push('/login'), 2000);
@@ -78,10 +105,31 @@ export const OrderProvider = ({ children }) => {
             if (data.unavailableProducts) {
               setLowStockProducts(data.unavailableProducts);
               router.push('/error');
+            } else if (data.code === 'REQUEST_IN_PROGRESS') {
+              setError(
+                'Votre commande est en cours de traitement. Patientez quelques secondes avant de réessayer.',
+              );
+            } else if (data.code === 'CART_CHANGES_PENDING') {
+              setError(
+                'Votre panier a changé depuis votre dernière visite. Validez les modifications avant de commander.',
+              );
+              setTimeout(() => router.push('/cart'), 2000);
+            } else if (data.code === 'PRICE_CHANGED') {
+              setError(
+                'Le prix de certains articles a changé. Vérifiez votre panier avant de commander.',
+              );
+              setTimeout(() => router.push('/cart'), 2000);
             } else {
               setError('Certains produits ne sont plus disponibles');
             }
             break;
+          case 422:
+            // Montant incohérent avec le calcul serveur
+            setError(
+              'Le montant de la commande ne correspond pas. Veuillez recommencer depuis votre panier.',
+            );
+            setTimeout(() => router.push('/cart'), 2000);
+            break;
           case 429:
             setError('Trop de tentatives. Réessayez plus tard.');
             break;
@@ -0,0 +1,177 @@
+'use client';
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from 'react';
+import { useSession } from 'next-auth/react';
+import { toast } from 'react-toastify';
+import CartContext from '@/context/CartContext';
+
+const WishlistContext = createContext();
+
+export const WishlistProvider = ({ children }) => {
+  const [wishlist, setWishlist] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { status: sessionStatus } = useSession();
+  const { addItemToCart } = useContext(CartContext);
+
+  // Identifiants des produits enregistrés, pour l'état des boutons cœur
+  const wishlistIds = useMemo(
+    () => new Set(wishlist.map((item) => String(item.productId))),
+    [wishlist],
+  );
+
+  const wishlistRequest = async (method, { productId, body } = {}) => {
+    const query = productId ? `?productId=${productId}` : '';
+    const res = await fetch(
+      `${process.env.NEXT_PUBLIC_API_URL}/api/wishlist${query}`,
+      {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        credentials: 'include',
+      },
+    );
+
+    const data = await res.json();
+    if (res.ok && data.success) {
+      setWishlist(data.data.wishlist || []);
+    }
+
+    return { res, data };
+  };
+
+  // Récupérer la liste d'envies
+  const loadWishlist = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const { res, data } = await wishlistRequest('GET');
+
+      if (!res.ok) {
+        setError(
+          data.message || "Erreur lors de la récupération de la liste d'envies",
+        );
+      }
+    } catch (error) {
+      setError('Problème de connexion. Vérifiez votre connexion.');
+      console.error('Wishlist retrieval error:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (sessionStatus === 'authenticated') {
+      loadWishlist();
+    } else if (sessionStatus === 'unauthenticated') {
+      setWishlist([]);
+    }
+  }, [sessionStatus, loadWishlist]);
+
+  const isInWishlist = useCallback(
+    (productId) => wishlistIds.has(String(productId)),
+    [wishlistIds],
+  );
+
+  // Retirer un produit ; renvoie true en cas de succès
+  const removeFromWishlist = async (productId, { silent = false } = {}) => {
+    try {
+      const { res, data } = await wishlistRequest('DELETE', { productId });
+
+      if (!res.ok) {
+        toast.error(data.message || 'Erreur lors de la suppression');
+        return false;
+      }
+
+      if (!silent) toast.success("Produit retiré de votre liste d'envies");
+      return true;
+    } catch (error) {
+      toast.error('Problème de connexion');
+      console.error('Wishlist remove error:', error.message);
+      return false;
+    }
+  };
+
+  // Ajouter ou retirer un produit de la liste d'envies
+  const toggleWishlist = async (productId) => {
+    if (sessionStatus !== 'authenticated') {
+      toast.info(
+        "Connectez-vous pour enregistrer des produits dans votre liste d'envies",
+      );
+      return;
+    }
+
+    if (isInWishlist(productId)) {
+      await removeFromWishlist(productId);
+      return;
+    }
+
+    try {
+      const { res, data } = await wishlistRequest('POST', {
+        body: { productId },
+      });
+
+      if (!res.ok) {
+        toast.error(data.message || "Erreur lors de l'ajout");
+        return;
+      }
+
+      toast.success("Produit ajouté à votre liste d'envies");
+    } catch (error) {
+      toast.error('Problème de connexion');
+      console.error('Wishlist add error:', error.message);
+    }
+  };
+
+  // Déplacer un produit vers le panier
+  const moveToCart = async (item) => {
+    const added = await addItemToCart({
+      product: item.productId,
+      details: {
+        productName: item.productName,
+        price: item.price,
+        stock: item.stock,
+        imageUrl: item.imageUrl,
+      },
+    });
+
+    if (added) {
+      await removeFromWishlist(item.productId, { silent: true });
+    }
+  };
+
+  const contextValue = useMemo(
+    () => ({
+      wishlist,
+      wishlistCount: wishlist.length,
+      loading,
+      error,
+      loadWishlist,
+      isInWishlist,
+      toggleWishlist,
+      removeFromWishlist,
+      moveToCart,
+    }),
+    [wishlist, loading, error, isInWishlist, sessionStatus, addItemToCart],
+  );
+
+  return (
+    <WishlistContext.Provider value={contextValue}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+export default WishlistContext;
@@ -44,11 +44,15 @@ export {
   categorySchema,
   productFiltersSchema,
   productReviewSchema,
+  productWriteSchema,
+  productUpdateSchema,
   validateProductSearch,
   validatePriceFilters,
   validateCategory,
   validateProductFilters,
   validateProductReview,
+  validateProductWrite,
+  validateProductUpdate,
 } from './schemas/product';
 
 // Export des schémas adresse
@@ -74,11 +78,35 @@ export {
   validateSimpleInvoice,
 } from './schemas/payment';
 
+// Export des schémas commande (back-office)
+export {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  adminOrderFiltersSchema,
+  orderStatusUpdateSchema,
+  orderCancelSchema,
+  validateAdminOrderFilters,
+  validateOrderStatusUpdate,
+  validateOrderCancel,
+} from './schemas/order';
+
+// Export des schémas panier
+export { cartMergeSchema, validateCartMerge } from './schemas/cart';
+
 // Export des schémas contact
 export {
   contactSchema,
+  adminContactFiltersSchema,
+  contactUpdateSchema,
+  contactReplySchema,
   validateContactMessage,
+  validateAdminContactFilters,
+  validateContactUpdate,
+  validateContactReply,
   classifyMessageType,
   isMessageUrgent,
+  getMessagePriority,
+  isOrderRelated,
+  extractOrderNumber,
   formatContactEmail,
 } from './schemas/contact';
@@ -0,0 +1,31 @@
+/**
+ * Schémas de validation pour le panier
+ */
+
+import * as yup from 'yup';
+import { validate, isValidObjectId } from '../core/utils';
+
+// Schéma de fusion du panier invité dans le panier du compte
+export const cartMergeSchema = yup.object().shape({
+  items: yup
+    .array()
+    .of(
+      yup.object().shape({
+        productId: yup
+          .string()
+          .required('Produit requis')
+          .test('valid-id', 'ID invalide', isValidObjectId),
+        quantity: yup
+          .number()
+          .required('Quantité requise')
+          .integer('Quantité doit être un entier')
+          .min(1, 'Quantité minimum 1')
+          .max(99, 'Quantité maximum 99'),
+      }),
+    )
+    .required('Articles requis')
+    .max(50, 'Maximum 50 articles'),
+});
+
+// Fonction de validation
+export const validateCartMerge = (data) => validate(cartMergeSchema, data);
@@ -37,8 +37,80 @@ export const contactSchema = yup.object().shape({
     }),
 });
 
-// Fonction de validation
+export const CONTACT_STATUSES = [
+  'pending',
+  'processing',
+  'sent',
+  'resolved',
+  'error',
+];
+
+// Schéma des filtres de la boîte de réception (back-office)
+export const adminContactFiltersSchema = yup.object().shape({
+  q: yup
+    .string()
+    .nullable()
+    .transform(sanitizeString)
+    .max(100, 'Maximum 100 caractères')
+    .test('no-nosql', 'Format invalide', noNoSqlInjection),
+  status: yup
+    .string()
+    .nullable()
+    .oneOf([...CONTACT_STATUSES, null], 'Statut invalide'),
+  priority: yup
+    .number()
+    .nullable()
+    .integer('Priorité doit être un entier')
+    .min(0, 'Priorité minimum 0')
+    .max(5, 'Priorité maximum 5'),
+  read: yup.boolean().nullable(),
+  page: yup
+    .number()
+    .nullable()
+    .integer('Page doit être un entier')
+    .min(1, 'Page minimum 1')
+    .max(1000, 'Page maximum 1000')
+    .default(1),
+});
+
+// Schéma de mise à jour d'un message (statut, priorité, lecture)
+export const contactUpdateSchema = yup
+  .object()
+  .shape({
+    status: yup.string().oneOf(CONTACT_STATUSES, 'Statut invalide'),
+    priority: yup
+      .number()
+      .integer('Priorité doit être un entier')
+      .min(0, 'Priorité minimum 0')
+      .max(5, 'Priorité maximum 5'),
+    read: yup.boolean(),
+  })
+  .test('not-empty', 'Aucune modification fournie', function (value) {
+    if (value && Object.values(value).some((v) => v !== undefined)) {
+      return true;
+    }
+    return this.createError({ path: 'general' });
+  });
+
+// Schéma de réponse à un message (les retours à la ligne sont conservés)
+export const contactReplySchema = yup.object().shape({
+  message: yup
+    .string()
+    .transform((value) => (value ? value.trim() : value))
+    .required('Réponse obligatoire')
+    .min(2, 'Minimum 2 caractères')
+    .max(5000, 'Maximum 5000 caractères')
+    .test('no-nosql', 'Format invalide', noNoSqlInjection),
+});
+
+// Fonctions de validation
 export const validateContactMessage = (data) => validate(contactSchema, data);
+export const validateAdminContactFilters = (data) =>
+  validate(adminContactFiltersSchema, data);
+export const validateContactUpdate = (data) =>
+  validate(contactUpdateSchema, data);
+export const validateContactReply = (data) =>
+  validate(contactReplySchema, data);
 
 // Classification du message (optionnel)
 export const classifyMessageType = (subject, message) => {
@@ -68,6 +140,37 @@ export const isMessageUrgent = (subject, message) => {
   return urgentKeywords.some((keyword) => content.includes(keyword));
 };
 
+// Priorité enregistrée sur le message (0 à 5) selon son type et son urgence
+export const URGENT_MESSAGE_PRIORITY = 5;
+const TYPE_PRIORITIES = { complaint: 3, support: 2, question: 1 };
+
+export const getMessagePriority = (type, isUrgent) =>
+  isUrgent ? URGENT_MESSAGE_PRIORITY : TYPE_PRIORITIES[type] || 0;
+
+// Détection des messages portant sur une commande
+const ORDER_NUMBER_PATTERN = /\bORD-\d{8}-\d{5}\b/i;
+const ORDER_KEYWORDS = [
+  'commande',
+  'livraison',
+  'colis',
+  'paiement',
+  'facture',
+  'remboursement',
+];
+
+export const isOrderRelated = (subject, message) => {
+  const content = `${subject} ${message}`.toLowerCase();
+  return (
+    ORDER_NUMBER_PATTERN.test(content) ||
+    ORDER_KEYWORDS.some((keyword) => content.includes(keyword))
+  );
+};
+
+// Numéro de commande cité dans le message, s'il y en a un
+export const extractOrderNumber = (subject, message) =>
+  `${subject} ${message}`.match(ORDER_NUMBER_PATTERN)?.[0].toUpperCase() ||
+  null;
+
 // Formater pour email
 export const formatContactEmail = (contactData, userInfo = null) => {
   const { subject, message } = contactData;
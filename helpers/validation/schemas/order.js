@@ -0,0 +1,78 @@
+/**
+ * Schémas de validation pour la gestion des commandes (back-office)
+ */
+
+import * as yup from 'yup';
+import { sanitizeString, validate, noNoSqlInjection } from '../core/utils';
+
+export const ORDER_STATUSES = [
+  'Processing',
+  'Shipped',
+  'Delivered',
+  'Cancelled',
+];
+export const PAYMENT_STATUSES = [
+  'unpaid',
+  'processing',
+  'paid',
+  'refunded',
+  'failed',
+];
+
+// Schéma des filtres de la liste admin
+export const adminOrderFiltersSchema = yup.object().shape({
+  orderStatus: yup
+    .string()
+    .nullable()
+    .oneOf([...ORDER_STATUSES, null], 'Statut de commande invalide'),
+  paymentStatus: yup
+    .string()
+    .nullable()
+    .oneOf([...PAYMENT_STATUSES, null], 'Statut de paiement invalide'),
+  page: yup
+    .number()
+    .nullable()
+    .integer('Page doit être un entier')
+    .min(1, 'Page minimum 1')
+    .max(1000, 'Page maximum 1000')
+    .default(1),
+});
+
+// Schéma de changement de statut d'une commande
+export const orderStatusUpdateSchema = yup.object().shape({
+  orderStatus: yup
+    .string()
+    .required('Statut requis')
+    .oneOf(ORDER_STATUSES, 'Statut de commande invalide'),
+  cancelReason: yup
+    .string()
+    .transform(sanitizeString)
+    .max(200, 'Maximum 200 caractères')
+    .test('no-nosql', 'Format invalide', noNoSqlInjection)
+    .when('orderStatus', {
+      is: 'Cancelled',
+      then: (schema) =>
+        schema
+          .required("Raison d'annulation requise")
+          .min(5, 'Minimum 5 caractères'),
+      otherwise: (schema) => schema.strip(),
+    }),
+});
+
+// Schéma d'annulation d'une commande par le client
+export const orderCancelSchema = yup.object().shape({
+  reason: yup
+    .string()
+    .transform(sanitizeString)
+    .min(5, 'Minimum 5 caractères')
+    .max(200, 'Maximum 200 caractères')
+    .test('no-nosql', 'Format invalide', noNoSqlInjection)
+    .default('Annulée par le client'),
+});
+
+// Fonctions de validation
+export const validateAdminOrderFilters = (data) =>
+  validate(adminOrderFiltersSchema, data);
+export const validateOrderStatusUpdate = (data) =>
+  validate(orderStatusUpdateSchema, data);
+export const validateOrderCancel = (data) => validate(orderCancelSchema, data);
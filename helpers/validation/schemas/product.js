@@ -10,6 +10,15 @@ import {
   noNoSqlInjection,
 } from '../core/utils';
 
+// Tris disponibles sur la liste des produits
+export const PRODUCT_SORT_OPTIONS = [
+  'price_asc',
+  'price_desc',
+  'newest',
+  'best_selling',
+  'rating',
+];
+
 // Schéma de recherche
 export const searchSchema = yup.object().shape({
   keyword: yup
@@ -61,8 +70,14 @@ export const categorySchema = yup.object().shape({
 export const productFiltersSchema = yup.object().shape({
   keyword: yup.string().nullable().transform(sanitizeString),
   category: categorySchema.fields.category,
-  'price[gt]': priceFiltersSchema.fields.min,
+  'price[gte]': priceFiltersSchema.fields.min,
   'price[lt]': priceFiltersSchema.fields.max,
+  sort: yup
+    .string()
+    .nullable()
+    .oneOf([...PRODUCT_SORT_OPTIONS, null], 'Tri invalide'),
+  inStock: yup.boolean().nullable(),
+  facets: yup.boolean().nullable(),
   page: yup
     .number()
     .nullable()
@@ -98,6 +113,87 @@ export const productReviewSchema = yup.object().shape({
   wouldRecommend: yup.boolean().nullable(),
 });
 
+// Schéma d'image produit (issue d'un upload Cloudinary signé)
+const productImageSchema = yup.object().shape({
+  public_id: yup
+    .string()
+    .required('Identifiant Cloudinary requis')
+    .max(255, 'Identifiant trop long'),
+  url: yup
+    .string()
+    .required("URL d'image requise")
+    .url('URL invalide')
+    .matches(/^https:\/\//, 'URL HTTPS requise'),
+});
+
+// Schéma de création de produit (back-office)
+export const productWriteSchema = yup.object().shape({
+  name: yup
+    .string()
+    .required('Nom du produit requis')
+    .transform(sanitizeString)
+    .min(2, 'Minimum 2 caractères')
+    .max(100, 'Maximum 100 caractères')
+    .test('no-nosql', 'Format invalide', noNoSqlInjection),
+
+  description: yup
+    .string()
+    .required('Description requise')
+    .trim()
+    .min(10, 'Minimum 10 caractères')
+    .max(2000, 'Maximum 2000 caractères'),
+
+  price: yup
+    .number()
+    .typeError('Prix invalide')
+    .required('Prix requis')
+    .min(0, 'Prix doit être >= 0')
+    .max(999999, 'Prix maximum dépassé'),
+
+  stock: yup
+    .number()
+    .typeError('Stock invalide')
+    .required('Stock requis')
+    .integer('Stock doit être un entier')
+    .min(0, 'Stock doit être >= 0'),
+
+  category: yup
+    .string()
+    .required('Catégorie requise')
+    .test(
+      'valid-id',
+      'ID catégorie invalide',
+      (value) => !value || isValidObjectId(value),
+    ),
+
+  images: yup
+    .array()
+    .of(productImageSchema)
+    .max(10, 'Maximum 10 images')
+    .default([]),
+
+  isActive: yup.boolean().default(true),
+});
+
+// Schéma de mise à jour : tous les champs deviennent optionnels
+export const productUpdateSchema = productWriteSchema
+  .shape({
+    images: productWriteSchema.fields.images.default(undefined),
+    isActive: yup.boolean(),
+  })
+  .partial()
+  .test('not-empty', 'Aucun champ à mettre à jour', function (value) {
+    const hasField =
+      !!value && Object.values(value).some((v) => v !== undefined);
+    return (
+      hasField ||
+      this.createError({
+        path: 'general',
+        message: 'Aucun champ à mettre à jour',
+      })
+    );
+  });
+
 // Fonctions de validation
 export const validateProductSearch = (data) => validate(searchSchema, data);
 export const validatePriceFilters = (data) =>
@@ -107,3 +203,7 @@ export const validateProductFilters = (data) =>
   validate(productFiltersSchema, data);
 export const validateProductReview = (data) =>
   validate(productReviewSchema, data);
+export const validateProductWrite = (data) =>
+  validate(productWriteSchema, data);
+export const validateProductUpdate = (data) =>
+  validate(productUpdateSchema, data);
@@ -0,0 +1,34 @@
+const API_URL =
+  process.env.API_URL || 'https://buyitnow-client-n15-prv1.vercel.app';
+
+/**
+ * Appelle une route /api/admin depuis une page serveur en transmettant
+ * le cookie de session
+ * @param {string} path - Chemin de la route (avec query string)
+ * @param {Object} authToken - Cookie de session (name, value)
+ * @returns {Promise<Object|null>} Champ `data` de la réponse, ou null
+ */
+export const fetchAdminApi = async (path, authToken) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+  try {
+    const res = await fetch(`${API_URL}${path}`, {
+      signal: controller.signal,
+      headers: {
+        Cookie: `${authToken.name}=${authToken.value}`,
+      },
+      next: { revalidate: 0 },
+    });
+
+    if (!res.ok) {
+      console.error(`Admin API Error: ${res.status} - ${path}`);
+      return null;
+    }
+
+    const body = await res.json();
+    return body.success ? body.data : null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
@@ -10,15 +10,17 @@ const PROTECTED_PATHS = [
   '/api/:path*',
   '/me/:path*',
   '/address/:path*',
-  '/cart',
   '/shipping',
   '/shipping-choice',
   '/payment',
   '/confirmation',
+  '/admin',
 ];
 const PUBLIC_PATHS = [
   '/login',
   '/register',
+  '/forgot-password',
+  '/reset-password',
   '/product',
   '/_next/',
   '/favicon.ico',
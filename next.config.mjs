@@ -201,7 +201,7 @@ const nextConfig = {
           },
           {
             key: 'Access-Control-Allow-Headers',
-            value: 'Content-Type, Authorization',
+            value: 'Content-Type, Authorization, Idempotency-Key',
           },
           {
             key: 'Cache-Control',
@@ -0,0 +1,55 @@
+/**
+ * Remplace les anciens index texte des produits (name_text,
+ * name_text_category_1_price_1) par product_text_search
+ *
+ * autoIndex est désactivé en production : l'index déclaré dans
+ * backend/models/product.js n'y est jamais créé automatiquement, et MongoDB
+ * refuse un second index texte sur la collection
+ *
+ * Usage : DB_URI=mongodb+srv://... npm run db:migrate-text-index
+ * Idempotent : peut être relancé sans effet
+ */
+import mongoose from 'mongoose';
+
+// Doit rester identique à la déclaration du modèle Product
+const TEXT_INDEX_NAME = 'product_text_search';
+const TEXT_INDEX_KEYS = { name: 'text', description: 'text' };
+const TEXT_INDEX_OPTIONS = {
+  name: TEXT_INDEX_NAME,
+  weights: { name: 10, description: 2 },
+  default_language: 'french',
+};
+
+const run = async () => {
+  if (!process.env.DB_URI) {
+    throw new Error('DB_URI is not defined');
+  }
+
+  await mongoose.connect(process.env.DB_URI);
+  const products = mongoose.connection.collection('products');
+
+  // Un index texte porte la clé _fts dans sa définition
+  const indexes = await products.indexes();
+  const staleTextIndexes = indexes.filter(
+    (index) => index.key._fts === 'text' && index.name !== TEXT_INDEX_NAME,
+  );
+
+  for (const index of staleTextIndexes) {
+    await products.dropIndex(index.name);
+    console.log(`Dropped index ${index.name}`);
+  }
+
+  if (indexes.some((index) => index.name === TEXT_INDEX_NAME)) {
+    console.log(`Index ${TEXT_INDEX_NAME} already exists`);
+  } else {
+    await products.createIndex(TEXT_INDEX_KEYS, TEXT_INDEX_OPTIONS);
+    console.log(`Created index ${TEXT_INDEX_NAME}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Product text index migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
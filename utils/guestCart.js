@@ -0,0 +1,127 @@
+/**
+ * Panier invité
+ * Conservé dans le localStorage (compressé avec lz-string) tant que le
+ * visiteur n'est pas connecté, puis fusionné dans son panier à la connexion
+ */
+
+import LZString from 'lz-string';
+
+const isBrowser = typeof window !== 'undefined';
+const STORAGE_KEY = 'buyitnow_guest_cart';
+
+export const GUEST_CART_MAX_ITEMS = 50;
+export const GUEST_CART_MAX_QUANTITY = 99;
+
+const isValidItem = (item) =>
+  item &&
+  /^[0-9a-fA-F]{24}$/.test(item.productId) &&
+  Number.isInteger(item.quantity) &&
+  item.quantity > 0;
+
+/**
+ * Lit le panier invité
+ * @returns {Array<Object>} Articles (productId, productName, price, quantity,
+ *   stock, imageUrl)
+ */
+export function readGuestCart() {
+  if (!isBrowser) return [];
+
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (!stored) return [];
+
+    const items = JSON.parse(LZString.decompressFromUTF16(stored));
+    return Array.isArray(items) ? items.filter(isValidItem) : [];
+  } catch {
+    // Donnée corrompue : repartir d'un panier vide
+    return [];
+  }
+}
+
+/**
+ * Enregistre le panier invité
+ * @param {Array<Object>} items - Articles
+ */
+export function writeGuestCart(items) {
+  if (!isBrowser) return;
+
+  try {
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      LZString.compressToUTF16(
+        JSON.stringify(items.slice(0, GUEST_CART_MAX_ITEMS)),
+      ),
+    );
+  } catch (error) {
+    console.error('Guest cart storage error:', error.message);
+  }
+}
+
+export function clearGuestCart() {
+  if (!isBrowser) return;
+  window.localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Ajoute un produit ou augmente sa quantité, dans la limite du stock connu
+ * @param {Object} product - productId, productName, price, stock, imageUrl
+ * @param {number} quantity - Quantité à ajouter
+ * @returns {Array<Object>|null} Nouveau panier, ou null si le stock ou la
+ *   taille du panier ne le permet pas
+ */
+export function addToGuestCart(product, quantity = 1) {
+  const items = readGuestCart();
+  const existing = items.find((item) => item.productId === product.productId);
+  const maxQuantity = Math.min(
+    product.stock ?? GUEST_CART_MAX_QUANTITY,
+    GUEST_CART_MAX_QUANTITY,
+  );
+
+  if (existing) {
+    if (existing.quantity + quantity > maxQuantity) return null;
+    existing.quantity += quantity;
+  } else {
+    if (items.length >= GUEST_CART_MAX_ITEMS || quantity > maxQuantity) {
+      return null;
+    }
+    items.push({ ...product, quantity });
+  }
+
+  writeGuestCart(items);
+  return items;
+}
+
+/**
+ * Modifie la quantité d'un article (0 le retire)
+ * @returns {Array<Object>} Nouveau panier
+ */
+export function setGuestCartQuantity(productId, quantity) {
+  const items = readGuestCart()
+    .map((item) =>
+      item.productId === productId ? { ...item, quantity } : item,
+    )
+    .filter((item) => item.quantity > 0);
+
+  writeGuestCart(items);
+  return items;
+}
+
+/**
+ * Met le panier invité au format renvoyé par GET /api/cart
+ * @param {Array<Object>} items - Articles
+ * @returns {{cart: Array, cartCount: number, cartTotal: number}}
+ */
+export function toCartState(items) {
+  const cart = items.map((item) => ({
+    ...item,
+    // L'identifiant de ligne d'un panier invité est celui du produit
+    id: item.productId,
+    subtotal: item.quantity * item.price,
+  }));
+
+  return {
+    cart,
+    cartCount: cart.length,
+    cartTotal: cart.reduce((sum, item) => sum + item.subtotal, 0),
+  };
+}
@@ -63,11 +63,12 @@ export const parseProductSearchParams = (searchParams) => {
   }
 
   // Prix min/max - parser en nombre
-  const minPrice = searchParams.get('min') || searchParams.get('price[gt]');
+  // Borne min incluse, borne max exclue, comme les tranches des facettes
+  const minPrice = searchParams.get('min') || searchParams.get('price[gte]');
   if (minPrice) {
     const min = parseNumber(minPrice);
     if (min !== null && min >= 0) {
-      params['price[gt]'] = min;
+      params['price[gte]'] = min;
     }
   }
 
@@ -79,6 +80,21 @@ export const parseProductSearchParams = (searchParams) => {
     }
   }
 
+  // Tri - la liste des valeurs admises est validée par Yup
+  const sort = searchParams.get('sort');
+  if (sort) {
+    params.sort = cleanString(sort).toLowerCase();
+  }
+
+  // Disponibilité et facettes - booléens passés en "true"
+  if (searchParams.get('inStock') === 'true') {
+    params.inStock = true;
+  }
+
+  if (searchParams.get('facets') === 'true') {
+    params.facets = true;
+  }
+
   // Page - avec défaut à 1
   const page = parseNumber(searchParams.get('page'), 1);
   params.page = Math.max(1, Math.min(page, 1000));
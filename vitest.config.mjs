@@ -0,0 +1,19 @@
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    // Même alias que jsconfig.json
+    alias: { '@': __dirname },
+  },
+  test: {
+    environment: 'node',
+    include: ['backend/**/*.test.js'],
+    // Le premier démarrage de mongodb-memory-server télécharge le binaire
+    hookTimeout: 120000,
+    testTimeout: 30000,
+  },
+});